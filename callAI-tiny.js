@@ -8,32 +8,42 @@
 
 
 
+import http from 'http';
 import https from 'https';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function loadEnv() {
- const envPath = path.resolve(__dirname, '.env');
- if (!fs.existsSync(envPath)) return;
- const envContent = fs.readFileSync(envPath, 'utf8');
- const lines = envContent.split('\n');
+// KEY=value lines of an env file as an object, quotes around values stripped
+function parseEnvFile(envPath) {
+ const vars = {};
+ const lines = fs.readFileSync(envPath, 'utf8').split('\n');
  for (const line of lines) {
   if (!line || line.startsWith('#')) continue;
   const [key, ...valueParts] = line.split('=');
-  if (key && valueParts.length > 0) {
-   const value = valueParts.join('=').trim().replace(/^["']|["']$/g, '');
-   process.env[key.trim()] = value;
-  }
+  if (key && valueParts.length > 0) vars[key.trim()] = valueParts.join('=').trim().replace(/^["']|["']$/g, '');
  }
+ return vars;
 }
 
-loadEnv();
+let envLoaded = false;
+
+// The .env next to this file fills in process.env the first time a key is needed. Variables that are already set win.
+function loadEnv() {
+ if (envLoaded) return;
+ envLoaded = true;
+ const envPath = path.resolve(__dirname, '.env');
+ if (!fs.existsSync(envPath)) return;
+ for (const [key, value] of Object.entries(parseEnvFile(envPath))) process.env[key] ??= value;
+}
 
 let customModelsLoaded = false;
+const ROUTES = {};
 
 async function loadCustomModels() {
  if (customModelsLoaded) return;
@@ -41,11 +51,20 @@ async function loadCustomModels() {
   const customModelsPath = path.resolve(__dirname, '_models.js');
   if (fs.existsSync(customModelsPath)) {
    const module = await import(customModelsPath);
+   if (module._PROVIDERS) {
+    for (const [name, definition] of Object.entries(module._PROVIDERS)) registerProvider(name, definition);
+   }
    if (module._MODELS) {
     for (const [provider, models] of Object.entries(module._MODELS)) {
      if (AI_PROVIDERS[provider]) Object.assign(AI_PROVIDERS[provider].models, models);
     }
    }
+   if (module._EMBEDDINGS) {
+    for (const [provider, models] of Object.entries(module._EMBEDDINGS)) {
+     if (AI_PROVIDERS[provider]) Object.assign(AI_PROVIDERS[provider].embeddings ||= {}, models);
+    }
+   }
+   if (module._ROUTES) Object.assign(ROUTES, module._ROUTES);
   }
  } catch (e) {
   console.warn('Warning: Failed to load _models.js:', e.message);
@@ -53,65 +72,403 @@ async function loadCustomModels() {
  customModelsLoaded = true;
 }
 
-const _DEFAULT = { temperature: 0.7, maxTokens: 4096, model: 'mistral-small' };
-
-const VISION_MODELS = {
- openai: ['gpt-4om', 'gpt-4.1', 'gpt-4.1m', 'gpt-4.1n', 'gpt-5', 'gpt-5m', 'gpt-5n', 'gpt-o3m', 'gpt-o4m'],
- anthropic: 'all',
- gemini: 'all',
- mistral: ['mistral-small','mistral-medium', 'mistral-large', 'pixtral-large', 'pixtral-12b'],
- grok: ['grok-4'],
- together: ['qw2.5-vl-72b', 'llam4-mav', 'llam4-sc', 'gemma-3n-4b', 'qw2-vl-72b']
+const _DEFAULT = {
+ temperature: 0.7,
+ maxTokens: 4096,
+ model: 'mistral-small',
+ retry: { maxAttempts: 3, baseDelay: 1000, maxDelay: 30000, jitter: true, retryOn: [408, 409, 429, 500, 502, 503, 504, 529] }
 };
 
-const THINKING_MODELS = {
- openai: ['gpt-o3m', 'gpt-5', 'gpt-5m', 'gpt-5n'],
- anthropic: ['claude-3.7s', 'claude-4s', 'claude-4o', 'claude-4.1o'], 
- gemini: ['gemini-2.5p', 'gemini-2.5f', 'gemini-2.5fl'], 
- grok: ['grok-3m','grok-4']
-};
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH'];
+
+// Every failure coming back from a provider is a ProviderError (or one of its subclasses below).
+// `error` holds the parsed provider error object, `retryAfter` is in milliseconds.
+export class ProviderError extends Error {
+ constructor(message, details = {}) {
+  super(message, details.cause ? { cause: details.cause } : undefined);
+  this.name = this.constructor.name;
+  this.status = details.status;
+  this.provider = details.provider;
+  this.model = details.model;
+  this.requestId = details.requestId;
+  this.retryAfter = details.retryAfter;
+  this.error = details.error;
+  this.attempts = details.attempts;
+ }
+}
+
+export class AuthError extends ProviderError {}
+export class RateLimitError extends ProviderError {}
+export class QuotaError extends ProviderError {}
+export class ContextLengthError extends ProviderError {}
+export class ContentFilterError extends ProviderError {}
+export class TimeoutError extends ProviderError {}
+// Every model in a fallback chain failed or was skipped: `failures` lists them, `cause` is the last provider error
+export class FallbackError extends ProviderError {}
+
+// Thrown when options.signal aborts; `reason` is the signal's reason (e.g. the TimeoutError DOMException of AbortSignal.timeout())
+export class AbortError extends Error {
+ constructor(message, details = {}) {
+  super(message);
+  this.name = 'AbortError';
+  this.reason = details.reason;
+  this.provider = details.provider;
+  this.model = details.model;
+ }
+}
+
+function abortError(signal) {
+ return new AbortError(`Request aborted${signal.reason?.message ? `: ${signal.reason.message}` : ''}`, { reason: signal.reason });
+}
+
+// Capabilities of a model entry when neither the entry nor its provider's modelDefaults say otherwise.
+// thinking: 'effort' (reasoning_effort levels), 'budget' (thinking token budget) or null.
+// pdf: the model reads PDFs itself, other models get the text extracted locally.
+const MODEL_DEFAULTS = { cost: { in: 0, out: 0 }, contextWindow: 128000, maxOutput: null, vision: false, pdf: false, thinking: null, tools: false, json: false, tokenizer: null };
+
+// MIME type from magic bytes: images, PDF, or text/plain for anything that decodes as UTF-8 without NUL bytes. null when unknown.
+function detectMimeType(buffer) {
+ if (!Buffer.isBuffer(buffer) || !buffer.length) return null;
+ // Too short for any magic number, but 'hi\n' is still a text file
+ if (buffer.length >= 4) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return 'image/png';
+  if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46) {
+   if (buffer.length > 12 && buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50) return 'image/webp';
+  }
+  if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return 'image/gif';
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return 'application/pdf';
+ }
+ // A multi-byte character may be cut at the end of the sample
+ const sample = buffer.subarray(0, 8192);
+ if (!sample.includes(0)) {
+  try {
+   new TextDecoder('utf-8', { fatal: true }).decode(sample.length < buffer.length ? sample.subarray(0, -3) : sample);
+   return 'text/plain';
+  } catch (e) {}
+ }
+ return null;
+}
 
 function detectImageFormat(buffer) {
- if (!Buffer.isBuffer(buffer) || buffer.length < 4) return 'image/jpeg';
- if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
- if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4E && buffer[3] === 0x47) return 'image/png';
- if (buffer[0] === 0x52 && buffer[1] === 0x49 && buffer[2] === 0x46 && buffer[3] === 0x46) {
-  if (buffer.length > 12 && buffer[8] === 0x57 && buffer[9] === 0x45 && buffer[10] === 0x42 && buffer[11] === 0x50) return 'image/webp';
+ const mimeType = detectMimeType(buffer);
+ return mimeType?.startsWith('image/') ? mimeType : 'image/jpeg';
+}
+
+const isTextMimeType = (mimeType) => mimeType.startsWith('text/') || ['application/json', 'application/xml', 'application/x-yaml', 'application/yaml'].includes(mimeType);
+
+// { type: 'file', path | data (Buffer, base64 or data URL), mimeType?, name? } -> { type: 'file', mimeType, data: base64, name }.
+// Images passed as files become image parts.
+function processFileContent(item) {
+ let buffer, mimeType = item.mimeType, name = item.name;
+ if (item.path) {
+  buffer = fs.readFileSync(item.path);
+  name ??= path.basename(item.path);
+ } else if (Buffer.isBuffer(item.data) || item.data instanceof Uint8Array) {
+  buffer = Buffer.from(item.data);
+ } else if (typeof item.data === 'string') {
+  const dataUrl = item.data.match(/^data:([^;,]+)?(;base64)?,/);
+  buffer = dataUrl ? Buffer.from(item.data.slice(dataUrl[0].length), dataUrl[2] ? 'base64' : 'utf8') : Buffer.from(item.data, 'base64');
+  mimeType ??= dataUrl?.[1];
+ } else {
+  throw new Error("File parts need a path or data: { type: 'file', path: './report.pdf' }");
+ }
+ mimeType ??= detectMimeType(buffer);
+ if (!mimeType || !(mimeType === 'application/pdf' || mimeType.startsWith('image/') || isTextMimeType(mimeType))) {
+  throw new Error(`Unsupported file type${mimeType ? ` ${mimeType}` : ''}${name ? ` (${name})` : ''}. Files can be PDFs, text or images`);
+ }
+ if (mimeType.startsWith('image/')) return { type: 'image', url: `data:${mimeType};base64,${buffer.toString('base64')}` };
+ return { type: 'file', mimeType, data: buffer.toString('base64'), name: name || (mimeType === 'application/pdf' ? 'document.pdf' : 'document.txt') };
+}
+
+function decodePdfString(token) {
+ let bytes;
+ if (token[0] === '<') {
+  bytes = Buffer.from(token.slice(1, -1).replace(/\s/g, ''), 'hex');
+ } else {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  const raw = token.slice(1, -1).replace(/\\(\r?\n|[0-7]{1,3}|.)/g, (_, c) => /^[0-7]/.test(c) ? String.fromCharCode(parseInt(c, 8) & 0xFF) : c[0] === '\r' || c[0] === '\n' ? '' : escapes[c] ?? c);
+  bytes = Buffer.from(raw, 'latin1');
+ }
+ // UTF-16BE with a byte order mark, or two-byte glyph codes that happen to be ASCII
+ if (bytes[0] === 0xFE && bytes[1] === 0xFF) return bytes.subarray(2).swap16().toString('utf16le');
+ if (bytes.length % 2 === 0 && bytes.length && bytes.every((byte, i) => i % 2 || byte === 0)) return Buffer.from(bytes).swap16().toString('utf16le');
+ return bytes.toString('latin1');
+}
+
+// Text shown by one content stream's Tj/TJ/'/" operators
+function pdfContentText(content) {
+ const tokens = content.match(/\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|-?\d*\.?\d+|[A-Za-z*'"]+|\[|\]/g) || [];
+ let text = '', pending = [], numbers = [], inArray = false;
+ for (const token of tokens) {
+  if (token[0] === '(' || token[0] === '<') pending.push(decodePdfString(token));
+  else if (/^-?\d*\.?\d+$/.test(token)) {
+   numbers.push(Number(token));
+   // Big negative kerning inside TJ is how most PDFs write a space
+   if (inArray && Number(token) < -200) pending.push(' ');
+  } else if (token === '[') inArray = true;
+  else if (token === ']') inArray = false;
+  else {
+   if (token === 'Tj' || token === 'TJ') text += pending.join('');
+   else if (token === "'" || token === '"') text += '\n' + pending.join('');
+   else if (token === 'Td' || token === 'TD') text += numbers.at(-1) ? '\n' : ' ';
+   else if (token === 'T*' || token === 'Tm' || token === 'ET') text += '\n';
+   pending = [];
+   numbers = [];
+  }
+ }
+ return text;
+}
+
+// Best-effort text layer of a PDF: inflates the page content streams and reads their text operators.
+// Good for PDFs made from text, scans and fonts with custom encodings come out empty or garbled.
+function extractPdfText(buffer) {
+ const source = buffer.toString('latin1');
+ const chunks = [];
+ const streamPattern = /(?<!end)stream\r?\n/g;
+ let match;
+ while ((match = streamPattern.exec(source))) {
+  const start = match.index + match[0].length;
+  const end = source.indexOf('endstream', start);
+  if (end < 0) break;
+  streamPattern.lastIndex = end + 9;
+  const dictionary = source.slice(source.lastIndexOf(' obj', match.index), match.index);
+  // Fonts, images, metadata and object streams, only page contents and forms carry text operators
+  if (/\/Length1|\/Subtype\s*\/(?!Form)|\/Type\s*\/(?:XRef|ObjStm|Metadata|EmbeddedFile)/.test(dictionary)) continue;
+  let data = buffer.subarray(start, end);
+  if (/\/FlateDecode/.test(dictionary)) {
+   try {
+    data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+   } catch (e) {
+    continue;
+   }
+  } else if (/\/Filter/.test(dictionary)) continue;
+  const text = pdfContentText(data.toString('latin1'));
+  if (text.trim()) chunks.push(text);
  }
- if (buffer[0] === 0x47 && buffer[1] === 0x49 && buffer[2] === 0x46) return 'image/gif';
- return 'image/jpeg';
+ return chunks.join('\n').replace(/[ \t]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// File parts the model can't take natively become text parts: text files as they are, PDFs through extractPdfText
+function adaptFileParts(messages, info) {
+ return messages.map(msg => {
+  if (!Array.isArray(msg.content) || !msg.content.some(item => item.type === 'file')) return msg;
+  return {
+   ...msg,
+   content: msg.content.map(item => {
+    if (item.type !== 'file' || (item.mimeType === 'application/pdf' && info?.pdf)) return item;
+    const buffer = Buffer.from(item.data, 'base64');
+    const text = item.mimeType === 'application/pdf' ? extractPdfText(buffer) : buffer.toString('utf8');
+    if (!text && item.mimeType === 'application/pdf') throw new Error(`No text could be extracted from ${item.name} and ${info?.alias || 'this model'} can't read PDFs. Use one of: ${findModels({ pdf: true }).map(m => m.alias).join(', ')}`);
+    return { type: 'text', text: `<file name="${item.name}">\n${text}\n</file>` };
+   })
+  };
+ });
 }
 
 function isVisionRequest(messages) {
  return messages.some(msg => Array.isArray(msg.content) && msg.content.some(item => item.type === 'image' || item.type === 'image_url'));
 }
 
+function hasFileParts(messages) {
+ return messages.some(msg => Array.isArray(msg.content) && msg.content.some(item => item.type === 'file'));
+}
+
+// Base64 never contains a dot, so a string ending in an image extension is a path
+const IMAGE_PATH = /^(?:file:\/\/|\.{0,2}\/|~\/|[A-Za-z]:[\\/])?[^\n]*\.(?:jpe?g|png|gif|webp|heic|heif)$/i;
+
+// Any image source (Buffer, Uint8Array, file path or file:// URL, base64, data URL, remote URL) as a data URL or the remote URL
 function processImageContent(content) {
- if (typeof content === 'string' && !content.startsWith('data:') && !/^https?:\/\//i.test(content)) {
-  // Base64 string without data URL prefix
-  const mimeType = detectImageFormat(Buffer.from(content, 'base64'));
-  return `data:${mimeType};base64,${content}`;
+ if (Buffer.isBuffer(content) || content instanceof Uint8Array) {
+  const buffer = Buffer.from(content);
+  return `data:${detectImageFormat(buffer)};base64,${buffer.toString('base64')}`;
+ }
+ if (typeof content !== 'string' || content.startsWith('data:') || /^https?:\/\//i.test(content)) return content;
+ if (IMAGE_PATH.test(content)) {
+  const filePath = content.startsWith('file://') ? fileURLToPath(content) : content.replace(/^~(?=\/)/, process.env.HOME || '~');
+  if (!fs.existsSync(filePath)) throw new Error(`Image file not found: ${filePath}`);
+  return processImageContent(fs.readFileSync(filePath));
+ }
+ // Base64 string without data URL prefix
+ const mimeType = detectImageFormat(Buffer.from(content, 'base64'));
+ return `data:${mimeType};base64,${content}`;
+}
+
+function openAIImagePart(item) {
+ return { type: 'image_url', image_url: { url: item.url, ...(item.detail && { detail: item.detail }) } };
+}
+
+const MB = 1024 * 1024;
+const formatMB = (bytes) => `${parseFloat((bytes / MB).toFixed(1))} MB`;
+
+// GET for a remote image, following redirects and giving up once it grows past maxBytes. Resolves to a data URL.
+function downloadImage(url, { maxBytes = Infinity, timeout = 60000, signal } = {}, redirects = 5) {
+ return new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError(signal));
+  const urlObj = new URL(url);
+  const transport = urlObj.protocol === 'http:' ? http : https;
+  const options = {
+   hostname: urlObj.hostname,
+   port: urlObj.port || (transport === http ? 80 : 443),
+   path: urlObj.pathname + urlObj.search,
+   method: 'GET',
+   headers: { 'User-Agent': 'callAI-tiny', Accept: 'image/*' },
+   timeout
+  };
+  const req = transport.request(options, (res) => {
+   if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+    res.resume();
+    return resolve(downloadImage(new URL(res.headers.location, url).href, { maxBytes, timeout, signal }, redirects - 1));
+   }
+   if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.resume();
+    return reject(new Error(`Couldn't download image ${url}: HTTP ${res.statusCode}`));
+   }
+   const chunks = [];
+   let size = 0;
+   res.on('data', chunk => {
+    size += chunk.length;
+    if (size <= maxBytes) return chunks.push(chunk);
+    req.destroy();
+    reject(new Error(`Image ${url} is larger than ${formatMB(maxBytes)}, the most this provider accepts`));
+   });
+   res.on('end', () => {
+    const buffer = Buffer.concat(chunks);
+    const header = String(res.headers['content-type'] || '').split(';')[0].trim();
+    const mimeType = detectMimeType(buffer) || header;
+    if (!mimeType.startsWith('image/')) return reject(new Error(`${url} isn't an image (${mimeType || 'unknown type'})`));
+    resolve(`data:${mimeType};base64,${buffer.toString('base64')}`);
+   });
+  });
+  const onAbort = () => {
+   req.destroy();
+   reject(abortError(signal));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  req.on('close', () => signal?.removeEventListener('abort', onAbort));
+  req.on('error', reject);
+  req.on('timeout', () => {
+   req.destroy();
+   reject(Object.assign(new Error(`Image download timeout after ${timeout}ms: ${url}`), { timeout: true }));
+  });
+  req.end();
+ });
+}
+
+// Checks image parts against the provider's imageLimits before anything is sent, and downloads remote
+// images for providers that only take inline data (imageLimits.urls false).
+async function prepareImages(messages, provider, model, options = {}) {
+ const limits = AI_PROVIDERS[provider].imageLimits || {};
+ const images = messages.flatMap(msg => Array.isArray(msg.content) ? msg.content.filter(item => item.type === 'image') : []);
+ if (limits.maxCount && images.length > limits.maxCount) {
+  throw new Error(`${model} takes at most ${limits.maxCount} images per request, got ${images.length}`);
+ }
+ const remote = limits.urls ? [] : [...new Set(images.map(image => image.url).filter(url => /^https?:\/\//i.test(url)))];
+ const downloaded = Object.fromEntries(await Promise.all(remote.map(async url => [url, await downloadImage(url, { maxBytes: limits.maxBytes, timeout: options.timeout, signal: options.signal })])));
+
+ let index = 0, total = 0;
+ const prepared = messages.map(msg => {
+  if (!Array.isArray(msg.content)) return msg;
+  return {
+   ...msg,
+   content: msg.content.map(item => {
+    if (item.type !== 'image') return item;
+    index++;
+    const url = downloaded[item.url] || item.url;
+    if (url.startsWith('data:')) {
+     const bytes = Math.floor((url.length - url.indexOf(',') - 1) * 3 / 4);
+     if (limits.maxBytes && bytes > limits.maxBytes) throw new Error(`Image ${index} is ${formatMB(bytes)}, ${provider} accepts at most ${formatMB(limits.maxBytes)} per image`);
+     total += bytes;
+    }
+    return url === item.url ? item : { ...item, url };
+   })
+  };
+ });
+ if (limits.maxTotalBytes && total > limits.maxTotalBytes) {
+  throw new Error(`Images add up to ${formatMB(total)}, ${provider} accepts at most ${formatMB(limits.maxTotalBytes)} per request`);
+ }
+ return prepared;
+}
+
+// Width and height from a PNG, GIF, WebP or JPEG header, null for anything else
+function imageDimensions(buffer) {
+ const mimeType = detectMimeType(buffer);
+ if (mimeType === 'image/png' && buffer.length >= 24) return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+ if (mimeType === 'image/gif' && buffer.length >= 10) return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+ if (mimeType === 'image/webp' && buffer.length >= 30) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+  if (chunk === 'VP8L') return { width: (buffer.readUInt32LE(21) & 0x3FFF) + 1, height: ((buffer.readUInt32LE(21) >> 14) & 0x3FFF) + 1 };
+  if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
  }
- return content;
+ if (mimeType === 'image/jpeg') {
+  // Segments up to the first start-of-frame marker (C0-CF except DHT C4, JPG C8 and DAC CC)
+  let offset = 2;
+  while (offset + 9 < buffer.length && buffer[offset] === 0xFF) {
+   const marker = buffer[offset + 1];
+   if (marker === 0xFF) offset++;
+   else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+   else offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+ }
+ return null;
+}
+
+// Per-provider image token formulas, each applied to the size the provider resizes the image to.
+// OpenAI: 85 plus 170 per 512px tile after fitting 2048x2048 and bringing the short side down to 768 (low detail is a flat 85)
+function openAIImageTokens(width, height, detail) {
+ if (detail === 'low') return 85;
+ const fit = Math.min(1, 2048 / Math.max(width, height));
+ const scale = fit * Math.min(1, 768 / (Math.min(width, height) * fit));
+ return 85 + 170 * Math.ceil(width * scale / 512) * Math.ceil(height * scale / 512);
+}
+
+// Anthropic: width * height / 750 after fitting 1568px on the long edge, capped at the ~1600 tokens it downscales to
+function anthropicImageTokens(width, height) {
+ const scale = Math.min(1, 1568 / Math.max(width, height));
+ return Math.min(1600, Math.ceil(width * scale * height * scale / 750));
+}
+
+// Gemini: 258 for images up to 384x384, 258 per 768x768 tile above that after fitting 3072x3072
+function geminiImageTokens(width, height) {
+ if (width <= 384 && height <= 384) return 258;
+ const scale = Math.min(1, 3072 / Math.max(width, height));
+ return 258 * Math.ceil(width * scale / 768) * Math.ceil(height * scale / 768);
+}
+
+// Mistral: a token per 16x16 patch plus one per row of patches, after fitting 1024x1024
+function mistralImageTokens(width, height) {
+ const scale = Math.min(1, 1024 / Math.max(width, height));
+ const columns = Math.ceil(width * scale / 16), rows = Math.ceil(height * scale / 16);
+ return rows * (columns + 1);
+}
+
+// Images whose size can't be read (remote URLs, HEIC, broken headers) are counted at this size
+const ASSUMED_IMAGE_SIZE = { width: 1024, height: 1024 };
+
+function imageTokenCount(item, config) {
+ const url = item.url ?? item.image_url?.url ?? '';
+ // The header is all imageDimensions reads, 64 KB covers JPEGs with big EXIF blocks in front of it
+ const size = url.startsWith('data:') ? imageDimensions(Buffer.from(url.slice(url.indexOf(',') + 1, url.indexOf(',') + 1 + 87384), 'base64')) : null;
+ // Headers claiming sizes no provider accepts are broken, not huge
+ const { width, height } = size?.width && size.height && size.width * size.height <= 2 ** 28 ? size : ASSUMED_IMAGE_SIZE;
+ return (config?.imageTokens || openAIImageTokens)(width, height, item.detail ?? item.image_url?.detail);
 }
 
 function supportsVision(provider, model) {
- const models = VISION_MODELS[provider];
- if (!models) return false;
- return models === 'all' || (Array.isArray(models) && models.includes(model));
+ return !!getModelInfo(model, provider)?.vision;
 }
 
 function supportsThinking(provider, model) {
- const models = THINKING_MODELS[provider];
- return models && models.includes(model);
+ return !!getModelInfo(model, provider)?.thinking;
 }
 
-function getThinkingConfig(provider, model, thinkValue) {
+function getThinkingConfig(provider, info, thinkValue) {
  if (thinkValue === undefined || thinkValue === false || thinkValue === 0) {
   return null;
  }
  
- if (!supportsThinking(provider, model)) {
+ if (!info?.thinking) {
   return null;
  }
  
@@ -125,14 +482,14 @@ function getThinkingConfig(provider, model, thinkValue) {
   throw new Error(`Grok models only support think: 'low' or 'high', not '${thinkValue}'`);
  }
  
- if (provider === 'openai' && /^(o[3-4](-mini)?|gpt-5(-mini|-nano)?)$/.test(model)) {
+ if (info.thinking === 'effort') {
   if (['low', 'medium', 'high'].includes(thinkValue)) {
    return { reasoning_effort: thinkValue };
   }
   if (thinkValue === true) {
    return { reasoning_effort: 'medium' };
   }
-  throw new Error(`OpenAI ${model} only supports think: 'low', 'medium', or 'high', not '${thinkValue}'`);
+  throw new Error(`${info.name} only supports think: 'low', 'medium', or 'high', not '${thinkValue}'`);
  }
  
  let budget = 0;
@@ -150,7 +507,7 @@ function getThinkingConfig(provider, model, thinkValue) {
   if (provider === 'gemini') {
    // Gemini: 512-24576 limit
    budget = Math.max(512, Math.min(24576, budget));
-   return { thinkingBudget: budget };
+   return { thinkingBudget: budget, includeThoughts: true };
   }
   if (provider === 'anthropic') {
    // Claude: 1024-8012 limit  
@@ -167,101 +524,549 @@ function normalizeContent(content) {
  if (Array.isArray(content)) {
   return content.map(item => {
    if (typeof item === 'string') return { type: 'text', text: item };
-   if (item.type === 'image' && item.url !== undefined) return { type: 'image', url: processImageContent(item.url) };
-   if (item.type === 'image_url' && item.image_url?.url !== undefined) return { type: 'image_url', image_url: { url: processImageContent(item.image_url.url) } };
+   // OpenAI-style image_url parts become plain image parts, every provider formats those
+   if (item.type === 'image' || item.type === 'image_url') {
+    const source = item.type === 'image_url' ? item.image_url?.url : item.path !== undefined ? fs.readFileSync(item.path) : item.url ?? item.data;
+    const detail = item.detail ?? item.image_url?.detail;
+    if (source !== undefined) return { type: 'image', url: processImageContent(source), ...(detail && { detail }) };
+   }
+   if (item.type === 'file' && (item.path || item.data !== undefined)) return processFileContent(item);
    return item;
   });
  }
  return [{ type: 'text', text: String(content || '') }];
 }
 
+// Anthropic cache breakpoint: cache_control on the last block, caching everything up to and including it
+function markCacheBreakpoint(content) {
+ const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : [...content];
+ blocks[blocks.length - 1] = { ...blocks[blocks.length - 1], cache_control: { type: 'ephemeral' } };
+ return blocks;
+}
+
+function streamError(data) {
+ return Object.assign(new Error(`Stream error: ${data.error?.message || JSON.stringify(data.error)}`), { body: data });
+}
+
+function parseOpenAIStreamEvent(data) {
+ if (data.error) throw streamError(data);
+ const delta = data.choices?.[0]?.delta;
+ const toolCalls = delta?.tool_calls?.map(tc => ({ index: tc.index, id: tc.id, name: tc.function?.name, arguments: tc.function?.arguments }));
+ return { text: delta?.content || '', reasoning: delta?.reasoning_content || delta?.reasoning || '', usage: data.usage || undefined, toolCalls, finishReason: data.choices?.[0]?.finish_reason || undefined, id: data.id };
+}
+
+const extractOpenAIFinishReason = (data) => data.choices?.[0]?.finish_reason;
+
+// Every provider's stop reason as 'stop' | 'length' | 'tool_calls' | 'content_filter', anything else is 'other'
+const FINISH_REASONS = {
+ stop: 'stop', end_turn: 'stop', stop_sequence: 'stop', eos: 'stop', STOP: 'stop',
+ length: 'length', max_tokens: 'length', model_length: 'length', MAX_TOKENS: 'length',
+ tool_calls: 'tool_calls', function_call: 'tool_calls', tool_use: 'tool_calls',
+ content_filter: 'content_filter', refusal: 'content_filter', SAFETY: 'content_filter', RECITATION: 'content_filter',
+ BLOCKLIST: 'content_filter', PROHIBITED_CONTENT: 'content_filter', SPII: 'content_filter', IMAGE_SAFETY: 'content_filter'
+};
+
+function normalizeFinishReason(reason, toolCalls = []) {
+ if (!reason) return null;
+ const normalized = FINISH_REASONS[reason] || 'other';
+ // Gemini finishes a function call with a plain STOP
+ return normalized === 'stop' && toolCalls.length ? 'tool_calls' : normalized;
+}
+
+// Grok and most OpenAI-compatible servers (vLLM, OpenRouter, DeepSeek) return reasoning next to the content
+function extractOpenAIReasoning(data) {
+ const message = data.choices?.[0]?.message;
+ return message?.reasoning_content || message?.reasoning || '';
+}
+
+// DeepSeek-R1 style models open the answer with their reasoning in <think>...</think>
+function splitThinkTags(text) {
+ const match = text.match(/^\s*<think>([\s\S]*?)(?:<\/think>\s*|$)/);
+ if (!match) return { text, reasoning: '' };
+ return { text: text.slice(match[0].length), reasoning: match[1] };
+}
+
+// Streaming splitThinkTags: push(chunk) / flush() return the { text, reasoning } that is safe to release so far
+function createThinkTagSplitter() {
+ let buffer = '', state = 'start';
+ const take = () => {
+  const out = buffer;
+  buffer = '';
+  return out;
+ };
+ const push = (chunk) => {
+  buffer += chunk;
+  let reasoning = '';
+  if (state === 'start') {
+   const trimmed = buffer.trimStart();
+   if ('<think>'.startsWith(trimmed)) return { text: '', reasoning };
+   if (trimmed.startsWith('<think>')) {
+    state = 'think';
+    buffer = trimmed.slice('<think>'.length);
+   } else state = 'text';
+  }
+  if (state === 'think') {
+   const end = buffer.indexOf('</think>');
+   if (end === -1) {
+    // Hold back a tail that could still become the closing tag
+    let keep = Math.min(buffer.length, '</think>'.length - 1);
+    while (keep > 0 && !'</think>'.startsWith(buffer.slice(-keep))) keep--;
+    reasoning = buffer.slice(0, buffer.length - keep);
+    buffer = buffer.slice(buffer.length - keep);
+    return { text: '', reasoning };
+   }
+   reasoning = buffer.slice(0, end);
+   buffer = buffer.slice(end + '</think>'.length);
+   state = 'after';
+  }
+  if (state === 'after') {
+   buffer = buffer.trimStart();
+   if (!buffer) return { text: '', reasoning };
+   state = 'text';
+  }
+  return { text: take(), reasoning };
+ };
+ return { push, flush: () => state === 'think' ? { text: '', reasoning: take() } : { text: take(), reasoning: '' } };
+}
+
+// Tools use one schema everywhere: { name, description, parameters } where parameters is a JSON Schema object.
+// In history, assistant turns carry `toolCalls: [{ id, name, arguments }]` and results come back as
+// { role: 'tool', toolCallId, name, content }.
+function parseToolArguments(args) {
+ if (typeof args !== 'string') return args || {};
+ if (args.trim() === '') return {};
+ try {
+  return JSON.parse(args);
+ } catch (e) {
+  throw new Error(`Model returned invalid JSON tool arguments: ${args.substring(0, 200)}`);
+ }
+}
+
+function stringifyToolResult(content) {
+ if (typeof content === 'string') return content;
+ if (Array.isArray(content)) return content.map(item => typeof item === 'string' ? item : item.text ?? '').join('');
+ return JSON.stringify(content ?? null);
+}
+
+// Also accepts tools already written in OpenAI's { type: 'function', function: {...} } shape
+function normalizeTool(tool) {
+ return tool.type === 'function' && tool.function ? { ...tool.function, handler: tool.handler } : tool;
+}
+
+function formatOpenAITools(tools) {
+ return tools.map(tool => ({ type: 'function', function: { name: tool.name, description: tool.description || '', parameters: tool.parameters || { type: 'object', properties: {} } } }));
+}
+
+function formatOpenAIToolChoice(toolChoice) {
+ if (toolChoice === undefined) return undefined;
+ if (typeof toolChoice === 'string') return toolChoice;
+ return { type: 'function', function: { name: toolChoice.name } };
+}
+
+function formatOpenAIToolMessages(messages) {
+ // cache and thinkingBlocks are callAI's own message fields, OpenAI-style APIs reject unknown ones
+ return messages.map(({ cache, thinkingBlocks, ...msg }) => {
+  if (msg.role === 'tool') return { role: 'tool', tool_call_id: msg.toolCallId, content: stringifyToolResult(msg.content) };
+  if (msg.role === 'assistant' && msg.toolCalls?.length) {
+   const { toolCalls, ...rest } = msg;
+   return {
+    ...rest,
+    content: msg.content || null,
+    tool_calls: toolCalls.map(tc => ({ id: tc.id, type: 'function', function: { name: tc.name, arguments: JSON.stringify(tc.arguments ?? {}) } }))
+   };
+  }
+  return msg;
+ });
+}
+
+function applyOpenAITools(payload, options) {
+ if (!options.tools?.length) return payload;
+ payload.tools = formatOpenAITools(options.tools);
+ const toolChoice = formatOpenAIToolChoice(options.toolChoice);
+ if (toolChoice !== undefined) payload.tool_choice = toolChoice;
+ return payload;
+}
+
+function extractOpenAIToolCalls(data) {
+ const calls = data.choices?.[0]?.message?.tool_calls || [];
+ return calls.map(tc => ({ id: tc.id, name: tc.function?.name, arguments: parseToolArguments(tc.function?.arguments) }));
+}
+
+// Structured output: options.schema is a JSON Schema the answer must satisfy
+const SCHEMA_TOOL_NAME = 'json_output';
+
+export class SchemaValidationError extends Error {
+ constructor(errors, text, attempts) {
+  super(`Response did not match schema after ${attempts} attempt(s): ${errors.join('; ')}`);
+  this.name = 'SchemaValidationError';
+  this.errors = errors;
+  this.text = text;
+  this.attempts = attempts;
+ }
+}
+
+function schemaTypeOf(value) {
+ if (value === null) return 'null';
+ if (Array.isArray(value)) return 'array';
+ if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+ return typeof value;
+}
+
+// Zero-dependency validator for the JSON Schema subset providers accept; returns a list of error strings
+export function validateSchema(value, schema, at = '$') {
+ if (schema === true || !schema || typeof schema !== 'object') return [];
+ if (schema === false) return [`${at}: no value allowed`];
+ const errors = [];
+ const actual = schemaTypeOf(value);
+
+ if (schema.type !== undefined) {
+  const types = [].concat(schema.type);
+  if (schema.nullable) types.push('null');
+  const matches = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+  if (!matches) return [`${at}: expected ${types.join(' | ')}, got ${actual}`];
+ }
+ if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`);
+ if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) errors.push(`${at}: must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+
+ if (actual === 'string') {
+  if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match pattern ${schema.pattern}`);
+ }
+ if (actual === 'number' || actual === 'integer') {
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be >= ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be <= ${schema.maximum}`);
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+  if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+ }
+ if (actual === 'array') {
+  if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+  if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+  if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)));
+ }
+ if (actual === 'object') {
+  const properties = schema.properties || {};
+  for (const key of schema.required || []) {
+   if (value[key] === undefined) errors.push(`${at}.${key}: is required`);
+  }
+  for (const [key, item] of Object.entries(value)) {
+   if (properties[key]) errors.push(...validateSchema(item, properties[key], `${at}.${key}`));
+   else if (schema.additionalProperties === false) errors.push(`${at}.${key}: unexpected property`);
+   else if (typeof schema.additionalProperties === 'object') errors.push(...validateSchema(item, schema.additionalProperties, `${at}.${key}`));
+  }
+ }
+
+ if (schema.allOf) schema.allOf.forEach(sub => errors.push(...validateSchema(value, sub, at)));
+ if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, at).length === 0)) errors.push(`${at}: does not match any allowed schema`);
+ if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(value, sub, at).length === 0).length !== 1) errors.push(`${at}: must match exactly one allowed schema`);
+ return errors;
+}
+
+function parseJSONResponse(text) {
+ const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+ try {
+  return { value: JSON.parse(trimmed) };
+ } catch (e) {
+  const match = trimmed.match(/[[{][\s\S]*[\]}]/);
+  if (match) {
+   try {
+    return { value: JSON.parse(match[0]) };
+   } catch (e2) {}
+  }
+ }
+ return { error: '$: response is not valid JSON' };
+}
+
+// Providers without a native schema mode get the schema as an extra system instruction
+function injectSchemaPrompt(messages, schema) {
+ const instruction = `Respond only with a JSON value that matches this JSON Schema, without any extra text or code fences:\n${JSON.stringify(schema)}`;
+ const systemIndex = messages.findIndex(msg => msg.role === 'system');
+ if (systemIndex === -1) return [{ role: 'system', content: instruction }, ...messages];
+ return messages.map((msg, i) => i === systemIndex ? { ...msg, content: `${stringifyToolResult(msg.content)}\n\n${instruction}` } : msg);
+}
+
+// Generation options every formatPayload understands, in callAI's names. A model's `params` says which it takes,
+// reasoning models (thinking: 'effort') use `reasoningParams` instead when their provider has one.
+const GENERATION_PARAMS = ['topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n', 'logprobs', 'user'];
+const OPENAI_PARAMS = ['topP', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n', 'logprobs', 'user'];
+
+function validateGenerationOptions(model, options, info) {
+ const supported = (info.thinking === 'effort' && info.reasoningParams) || info.params || [];
+ for (const param of GENERATION_PARAMS) {
+  if (options[param] !== undefined && !supported.includes(param)) {
+   throw new Error(`Model ${model} doesn't support ${param}. It takes: ${supported.join(', ') || 'none of the generation options'}`);
+  }
+ }
+ const range = (param, min, max) => {
+  const value = options[param];
+  if (value !== undefined && (typeof value !== 'number' || value < min || value > max)) throw new Error(`${param} must be a number between ${min} and ${max}, got ${value}`);
+ };
+ range('temperature', 0, info.maxTemperature ?? 2);
+ range('topP', 0, 1);
+ range('presencePenalty', -2, 2);
+ range('frequencyPenalty', -2, 2);
+ for (const param of ['topK', 'n']) {
+  if (options[param] !== undefined && !(Number.isInteger(options[param]) && options[param] > 0)) throw new Error(`${param} must be a positive integer, got ${options[param]}`);
+ }
+ if (options.seed !== undefined && !Number.isInteger(options.seed)) throw new Error(`seed must be an integer, got ${options.seed}`);
+ const stop = options.stop === undefined ? [] : [].concat(options.stop);
+ if (stop.some(sequence => typeof sequence !== 'string' || !sequence)) throw new Error('stop must be a string or an array of non-empty strings');
+ if (info.maxStop && stop.length > info.maxStop) throw new Error(`Model ${model} takes at most ${info.maxStop} stop sequences, got ${stop.length}`);
+ if (options.logprobs !== undefined && typeof options.logprobs !== 'boolean' && !(Number.isInteger(options.logprobs) && options.logprobs >= 1 && options.logprobs <= 20)) {
+  throw new Error(`logprobs must be true or the number of alternatives per token (1-20), got ${options.logprobs}`);
+ }
+ if (options.stream && (options.n > 1 || options.logprobs)) throw new Error(`${options.n > 1 ? 'n > 1' : 'logprobs'} can't be combined with stream`);
+}
+
+// Sets the generation options that were given under their OpenAI-compatible names
+function applyOpenAIParams(payload, options) {
+ if (options.topP !== undefined) payload.top_p = options.topP;
+ if (options.topK !== undefined) payload.top_k = options.topK;
+ if (options.stop !== undefined) payload.stop = options.stop;
+ if (options.seed !== undefined) payload.seed = options.seed;
+ if (options.presencePenalty !== undefined) payload.presence_penalty = options.presencePenalty;
+ if (options.frequencyPenalty !== undefined) payload.frequency_penalty = options.frequencyPenalty;
+ if (options.n !== undefined) payload.n = options.n;
+ if (options.logprobs) {
+  payload.logprobs = true;
+  if (typeof options.logprobs === 'number') payload.top_logprobs = options.logprobs;
+ }
+ if (options.user !== undefined) payload.user = options.user;
+ return payload;
+}
+
+// options.providerOptions go into the payload as they are; objects are merged key by key, anything else replaces
+function mergeProviderOptions(payload, providerOptions) {
+ for (const [key, value] of Object.entries(providerOptions || {})) {
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  payload[key] = isObject(value) && isObject(payload[key]) ? mergeProviderOptions({ ...payload[key] }, value) : value;
+ }
+ return payload;
+}
+
+// Per-token logprobs as [{ token, logprob, top: [{ token, logprob }] }]: OpenAI/xAI `content` lists or Together's parallel arrays
+function extractOpenAILogprobs(data) {
+ const logprobs = data.choices?.[0]?.logprobs;
+ if (!logprobs) return undefined;
+ if (logprobs.content) {
+  return logprobs.content.map(entry => ({ token: entry.token, logprob: entry.logprob, top: (entry.top_logprobs || []).map(alt => ({ token: alt.token, logprob: alt.logprob })) }));
+ }
+ return (logprobs.tokens || []).map((token, i) => ({
+  token,
+  logprob: logprobs.token_logprobs?.[i],
+  top: Object.entries(logprobs.top_logprobs?.[i] || {}).map(([alt, logprob]) => ({ token: alt, logprob }))
+ }));
+}
+
+function extractOpenAICandidates(data) {
+ return (data.choices || []).map(choice => choice.message?.content ?? '');
+}
+
+function applyOpenAISchema(payload, options) {
+ if (options.schema) payload.response_format = { type: 'json_schema', json_schema: { name: options.schemaName || 'response', schema: options.schema } };
+ return payload;
+}
+
+// Gemini accepts an OpenAPI subset of JSON Schema, so drop keywords it rejects
+function toGeminiSchema(schema) {
+ if (Array.isArray(schema)) return schema.map(toGeminiSchema);
+ if (!schema || typeof schema !== 'object') return schema;
+ const result = {};
+ for (const [key, value] of Object.entries(schema)) {
+  if (key === 'additionalProperties' || key === '$schema') continue;
+  result[key] = typeof value === 'object' ? toGeminiSchema(value) : value;
+ }
+ return result;
+}
+
+// Error mappers pick the ProviderError subclass from the HTTP status and the provider's error body
+function mapHttpError(status) {
+ if (status === 401 || status === 403) return AuthError;
+ if (status === 402) return QuotaError;
+ if (status === 429) return RateLimitError;
+ return ProviderError;
+}
+
+function mapOpenAIError(status, body) {
+ const error = body?.error || body || {};
+ const code = `${error.code || ''} ${error.type || ''}`;
+ const message = String(error.message || '').toLowerCase();
+ if (/invalid_api_key/.test(code) || message.includes('incorrect api key')) return AuthError;
+ if (/insufficient_quota|billing/.test(code) || message.includes('credit')) return QuotaError;
+ if (/context_length/.test(code) || /context length|maximum prompt length|too large for model|max_new_tokens/.test(message)) return ContextLengthError;
+ if (/content_filter|content_policy/.test(code) || message.includes('content policy')) return ContentFilterError;
+ return mapHttpError(status);
+}
+
+function formatOpenAIEmbeddingPayload(inputs, model, options = {}) {
+ return { model, input: inputs, ...(options.dimensions && { dimensions: options.dimensions }) };
+}
+
+function extractOpenAIEmbeddings(data) {
+ const items = [...(data.data || [])].sort((a, b) => a.index - b.index);
+ return { vectors: items.map(item => item.embedding), usage: data.usage };
+}
+
+const embeddingUrlFor = (baseUrl) => baseUrl.replace(/\/chat\/completions$/, '/embeddings');
+
 const AI_PROVIDERS = {
  openai: {
-  apiKey: process.env.OPENAI_API_KEY || '',
+  adapter: 'openai',
+  apiKeyEnv: 'OPENAI_API_KEY',
+  auth: 'bearer',
   baseUrl: 'https://api.openai.com/v1/chat/completions',
+  modelDefaults: { contextWindow: 128000, maxOutput: 16384, vision: true, pdf: true, tools: true, json: true, params: OPENAI_PARAMS, reasoningParams: ['seed', 'n', 'user'], maxStop: 4, tokenizer: 'o200k_base' },
+  imageLimits: { urls: true, maxBytes: 20 * MB, maxCount: 500, maxTotalBytes: 50 * MB },
+  imageTokens: openAIImageTokens,
   models: {
-   '4o-mini': { name: 'gpt-4o-mini', cost: { in: 0.15, out: 0.6 } },
-   'gpt-4om': { name: 'gpt-4o-mini', cost: { in: 0.15, out: 0.6 } },
-   '4.1': { name: 'gpt-4.1', cost: { in: 2, out: 8 } },
-   'gpt-4.1': { name: 'gpt-4.1', cost: { in: 2, out: 8 } },
-   '4.1-mini': { name: 'gpt-4.1-mini', cost: { in: 0.4, out: 1.6 } },
-   'gpt-4.1m': { name: 'gpt-4.1-mini', cost: { in: 0.4, out: 1.6 } },
-   '4.1-nano': { name: 'gpt-4.1-nano', cost: { in: 0.1, out: 0.4 } },
-   'gpt-4.1n': { name: 'gpt-4.1-nano', cost: { in: 0.1, out: 0.4 } },
-   '5.0': { name: 'gpt-5', cost: { in: 1.25, out: 10 } },
-   'gpt-5': { name: 'gpt-5', cost: { in: 1.25, out: 10 } },
-   '5.0-mini': { name: 'gpt-5-mini', cost: { in: 0.25, out: 2 } },
-   'gpt-5m': { name: 'gpt-5-mini', cost: { in: 0.25, out: 2 } },
-   '5.0-nano': { name: 'gpt-5-nano', cost: { in: 0.05, out: 0.4 } },
-   'gpt-5n': { name: 'gpt-5-nano', cost: { in: 0.05, out: 0.4 } },
-   'o3-mini': { name: 'o3-mini', cost: { in: 1.1, out: 4.4 } },
-   'gpt-o3m': { name: 'o3-mini', cost: { in: 1.1, out: 4.4 } },
-   'o4-mini': { name: 'o4-mini', cost: { in: 1.1, out: 4.4 } },
-   'gpt-o4m': { name: 'o4-mini', cost: { in: 1.1, out: 4.4 } }
-  },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
+   '4o-mini': { name: 'gpt-4o-mini', cost: { in: 0.15, out: 0.6, cachedIn: 0.075 } },
+   'gpt-4om': { name: 'gpt-4o-mini', cost: { in: 0.15, out: 0.6, cachedIn: 0.075 } },
+   '4.1': { name: 'gpt-4.1', cost: { in: 2, out: 8, cachedIn: 0.5 }, contextWindow: 1047576, maxOutput: 32768 },
+   'gpt-4.1': { name: 'gpt-4.1', cost: { in: 2, out: 8, cachedIn: 0.5 }, contextWindow: 1047576, maxOutput: 32768 },
+   '4.1-mini': { name: 'gpt-4.1-mini', cost: { in: 0.4, out: 1.6, cachedIn: 0.1 }, contextWindow: 1047576, maxOutput: 32768 },
+   'gpt-4.1m': { name: 'gpt-4.1-mini', cost: { in: 0.4, out: 1.6, cachedIn: 0.1 }, contextWindow: 1047576, maxOutput: 32768 },
+   '4.1-nano': { name: 'gpt-4.1-nano', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, contextWindow: 1047576, maxOutput: 32768 },
+   'gpt-4.1n': { name: 'gpt-4.1-nano', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, contextWindow: 1047576, maxOutput: 32768 },
+   '5.0': { name: 'gpt-5', cost: { in: 1.25, out: 10, cachedIn: 0.125 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   'gpt-5': { name: 'gpt-5', cost: { in: 1.25, out: 10, cachedIn: 0.125 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   '5.0-mini': { name: 'gpt-5-mini', cost: { in: 0.25, out: 2, cachedIn: 0.025 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   'gpt-5m': { name: 'gpt-5-mini', cost: { in: 0.25, out: 2, cachedIn: 0.025 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   '5.0-nano': { name: 'gpt-5-nano', cost: { in: 0.05, out: 0.4, cachedIn: 0.005 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   'gpt-5n': { name: 'gpt-5-nano', cost: { in: 0.05, out: 0.4, cachedIn: 0.005 }, contextWindow: 400000, maxOutput: 128000, thinking: 'effort' },
+   'o3-mini': { name: 'o3-mini', cost: { in: 1.1, out: 4.4, cachedIn: 0.55 }, contextWindow: 200000, maxOutput: 100000, vision: false, pdf: false, thinking: 'effort' },
+   'gpt-o3m': { name: 'o3-mini', cost: { in: 1.1, out: 4.4, cachedIn: 0.55 }, contextWindow: 200000, maxOutput: 100000, vision: false, pdf: false, thinking: 'effort' },
+   'o4-mini': { name: 'o4-mini', cost: { in: 1.1, out: 4.4, cachedIn: 0.275 }, contextWindow: 200000, maxOutput: 100000, thinking: 'effort' },
+   'gpt-o4m': { name: 'o4-mini', cost: { in: 1.1, out: 4.4, cachedIn: 0.275 }, contextWindow: 200000, maxOutput: 100000, thinking: 'effort' }
+  },
+  embeddings: {
+   'emb-3-small': { name: 'text-embedding-3-small', cost: { in: 0.02 }, dimensions: 1536, customDimensions: true },
+   'emb-3-large': { name: 'text-embedding-3-large', cost: { in: 0.13 }, dimensions: 3072, customDimensions: true },
+   'ada-002': { name: 'text-embedding-ada-002', cost: { in: 0.1 }, dimensions: 1536 }
+  },
+  embeddingUrl: embeddingUrlFor,
+  embeddingBatchSize: 2048,
+  formatEmbeddingPayload: formatOpenAIEmbeddingPayload,
+  extractEmbeddings: extractOpenAIEmbeddings,
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
    const isVision = isVisionRequest(messages);
    let processedMessages = messages;
-   if (isVision) {
+   if (isVision || hasFileParts(messages)) {
     processedMessages = messages.map(msg => {
      if (Array.isArray(msg.content)) {
-      return { ...msg, content: msg.content.map(item => item.type === 'image' ? { type: 'image_url', image_url: { url: processImageContent(item.url) } } : item) };
+      return {
+       ...msg,
+       content: msg.content.map(item => {
+        if (item.type === 'image') return openAIImagePart(item);
+        if (item.type === 'file') return { type: 'file', file: { filename: item.name, file_data: `data:${item.mimeType};base64,${item.data}` } };
+        return item;
+       })
+      };
      }
      return msg;
     });
    }
-   const payload = { model, messages: processedMessages, temperature: options.temperature || _DEFAULT.temperature };
+   const payload = applyOpenAIParams({ model, messages: formatOpenAIToolMessages(processedMessages), temperature: options.temperature ?? _DEFAULT.temperature }, options);
    
-   if (/^(o[3-4](-mini)?|gpt-5(-mini|-nano)?)$/.test(model)) {
+   if (info.thinking === 'effort') {
     payload.max_completion_tokens = maxTokens || _DEFAULT.maxTokens;
     payload.temperature = 1;
     
-    const thinking = getThinkingConfig('openai', model, options.think);
+    const thinking = getThinkingConfig('openai', info, options.think);
     if (thinking) {
      payload.reasoning_effort = thinking.reasoning_effort;
     }
    } else {
     payload.max_tokens = maxTokens || _DEFAULT.maxTokens;
    }
+
+   if (options.stream) {
+    payload.stream = true;
+    payload.stream_options = { include_usage: true };
+   }
    
-   return payload;
+   return applyOpenAISchema(applyOpenAITools(payload, options), options);
   },
-  extractResponse: (data) => data.choices?.[0]?.message?.content ?? ''
+  extractResponse: (data) => data.choices?.[0]?.message?.content ?? '',
+  extractReasoning: extractOpenAIReasoning,
+  extractToolCalls: extractOpenAIToolCalls,
+  extractFinishReason: extractOpenAIFinishReason,
+  extractLogprobs: extractOpenAILogprobs,
+  extractCandidates: extractOpenAICandidates,
+  parseStreamEvent: parseOpenAIStreamEvent,
+  mapError: mapOpenAIError
  },
 
  anthropic: {
-  apiKey: process.env.ANTHROPIC_API_KEY || '',
+  adapter: 'anthropic',
+  apiKeyEnv: 'ANTHROPIC_API_KEY',
+  auth: 'header',
+  authHeader: 'x-api-key',
+  headers: { 'anthropic-version': '2023-06-01' },
   baseUrl: 'https://api.anthropic.com/v1/messages',
+  modelDefaults: { contextWindow: 200000, maxOutput: 8192, vision: true, pdf: true, tools: true, json: true, params: ['topP', 'topK', 'stop', 'user'], maxTemperature: 1 },
+  imageLimits: { urls: true, maxBytes: 5 * MB, maxCount: 100, maxTotalBytes: 32 * MB },
+  imageTokens: anthropicImageTokens,
   models: {
-   '4.1-opus': { name: 'claude-opus-4-1-20250805', cost: { in: 15, out: 75 } },
-   'claude-4.1o': { name: 'claude-opus-4-1-20250805', cost: { in: 15, out: 75 } },
-   '4-opus': { name: 'claude-opus-4-20250514', cost: { in: 15, out: 75 } },
-   'claude-4o': { name: 'claude-opus-4-20250514', cost: { in: 15, out: 75 } },
-   '4-sonnet': { name: 'claude-sonnet-4-20250514', cost: { in: 3, out: 15 } },
-   'claude-4s': { name: 'claude-sonnet-4-20250514', cost: { in: 3, out: 15 } },
-   '3.7-sonnet': { name: 'claude-3-7-sonnet-20250219', cost: { in: 3, out: 15 } },
-   'claude-3.7s': { name: 'claude-3-7-sonnet-20250219', cost: { in: 3, out: 15 } },
-   '3.5-sonnet': { name: 'claude-3-5-sonnet-20241022', cost: { in: 3, out: 15 } },
-   'claude-3.5s': { name: 'claude-3-5-sonnet-20241022', cost: { in: 3, out: 15 } },
-   '3.5-haiku': { name: 'claude-3-5-haiku-20241022', cost: { in: 0.8, out: 4 } },
-   'claude-3.5h': { name: 'claude-3-5-haiku-20241022', cost: { in: 0.8, out: 4 } },
-   '3-haiku': { name: 'claude-3-haiku-20240307', cost: { in: 0.4, out: 1.6 } },
-   'claude-3h': { name: 'claude-3-haiku-20240307', cost: { in: 0.4, out: 1.6 } }
-  },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
+   '4.1-opus': { name: 'claude-opus-4-1-20250805', cost: { in: 15, out: 75, cachedIn: 1.5, cacheWrite: 18.75 }, maxOutput: 32000, thinking: 'budget' },
+   'claude-4.1o': { name: 'claude-opus-4-1-20250805', cost: { in: 15, out: 75, cachedIn: 1.5, cacheWrite: 18.75 }, maxOutput: 32000, thinking: 'budget' },
+   '4-opus': { name: 'claude-opus-4-20250514', cost: { in: 15, out: 75, cachedIn: 1.5, cacheWrite: 18.75 }, maxOutput: 32000, thinking: 'budget' },
+   'claude-4o': { name: 'claude-opus-4-20250514', cost: { in: 15, out: 75, cachedIn: 1.5, cacheWrite: 18.75 }, maxOutput: 32000, thinking: 'budget' },
+   '4-sonnet': { name: 'claude-sonnet-4-20250514', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 }, maxOutput: 64000, thinking: 'budget' },
+   'claude-4s': { name: 'claude-sonnet-4-20250514', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 }, maxOutput: 64000, thinking: 'budget' },
+   '3.7-sonnet': { name: 'claude-3-7-sonnet-20250219', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 }, maxOutput: 64000, thinking: 'budget' },
+   'claude-3.7s': { name: 'claude-3-7-sonnet-20250219', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 }, maxOutput: 64000, thinking: 'budget' },
+   '3.5-sonnet': { name: 'claude-3-5-sonnet-20241022', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 } },
+   'claude-3.5s': { name: 'claude-3-5-sonnet-20241022', cost: { in: 3, out: 15, cachedIn: 0.3, cacheWrite: 3.75 } },
+   '3.5-haiku': { name: 'claude-3-5-haiku-20241022', cost: { in: 0.8, out: 4, cachedIn: 0.08, cacheWrite: 1 } },
+   'claude-3.5h': { name: 'claude-3-5-haiku-20241022', cost: { in: 0.8, out: 4, cachedIn: 0.08, cacheWrite: 1 } },
+   '3-haiku': { name: 'claude-3-haiku-20240307', cost: { in: 0.4, out: 1.6, cachedIn: 0.03, cacheWrite: 0.5 }, maxOutput: 4096, pdf: false },
+   'claude-3h': { name: 'claude-3-haiku-20240307', cost: { in: 0.4, out: 1.6, cachedIn: 0.03, cacheWrite: 0.5 }, maxOutput: 4096, pdf: false }
+  },
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
    let systemMessage = '';
    const convertedMessages = [];
-   const isVision = isVisionRequest(messages);
+   const isVision = isVisionRequest(messages) || hasFileParts(messages);
+   const thinking = getThinkingConfig('anthropic', info, options.think);
+   // With keepThinking, signed thinking blocks from earlier answers go back so Claude can continue its reasoning
+   const thinkingBlocksOf = (msg) => thinking && options.keepThinking && msg.role === 'assistant' ? msg.thinkingBlocks || [] : [];
+   let cacheSystem = !!options.promptCache;
+   const cacheLast = () => {
+    const lastMessage = convertedMessages[convertedMessages.length - 1];
+    lastMessage.content = markCacheBreakpoint(lastMessage.content);
+   };
 
-   for (const msg of messages) {
+   // Claude can't be forced to call the schema tool while thinking, so thinking calls get the schema as an instruction
+   for (const msg of thinking && options.schema ? injectSchemaPrompt(messages, options.schema) : messages) {
     if (msg.role === 'system') {
      systemMessage = msg.content;
+     if (msg.cache) cacheSystem = true;
+     continue;
+    }
+
+    if (msg.role === 'tool') {
+     const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: stringifyToolResult(msg.content) };
+     if (msg.isError) block.is_error = true;
+     const lastMessage = convertedMessages[convertedMessages.length - 1];
+     if (lastMessage && lastMessage.role === 'user' && Array.isArray(lastMessage.content) && lastMessage.content.every(b => b.type === 'tool_result')) lastMessage.content.push(block);
+     else convertedMessages.push({ role: 'user', content: [block] });
+     if (msg.cache) cacheLast();
+     continue;
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+     const content = [...thinkingBlocksOf(msg), ...(typeof msg.content === 'string' ? (msg.content ? [{ type: 'text', text: msg.content }] : []) : msg.content || [])];
+     for (const tc of msg.toolCalls) content.push({ type: 'tool_use', id: tc.id, name: tc.name, input: tc.arguments ?? {} });
+     convertedMessages.push({ role: 'assistant', content });
+     if (msg.cache) cacheLast();
      continue;
     }
     
     if (msg.role === 'user' || msg.role === 'assistant') {
      if (isVision && Array.isArray(msg.content)) {
       const processedContent = msg.content.map(item => {
+       if (item.type === 'image' && /^https?:\/\//i.test(item.url)) {
+        return { type: 'image', source: { type: 'url', url: item.url } };
+       }
        if (item.type === 'image') {
         const dataUrl = processImageContent(item.url);
         const base64 = dataUrl.split(',')[1];
@@ -276,12 +1081,18 @@ const AI_PROVIDERS = {
          }
         };
        }
+       if (item.type === 'file') {
+        return { type: 'document', source: { type: 'base64', media_type: item.mimeType, data: item.data }, title: item.name };
+       }
        return item;
       });
       convertedMessages.push({ role: msg.role, content: processedContent });
+     } else if (thinkingBlocksOf(msg).length) {
+      convertedMessages.push({ role: msg.role, content: [...thinkingBlocksOf(msg), ...(typeof msg.content === 'string' ? [{ type: 'text', text: msg.content }] : msg.content)] });
      } else {
       convertedMessages.push({ role: msg.role, content: msg.content });
      }
+     if (msg.cache) cacheLast();
     }
    }
 
@@ -291,92 +1102,221 @@ const AI_PROVIDERS = {
    }
 
    const payload = { model, messages: convertedMessages, max_tokens: maxTokens || _DEFAULT.maxTokens };
+   // Claude only takes its default temperature and top_k while thinking
+   if (options.temperature !== undefined && !thinking) payload.temperature = options.temperature;
+   if (options.topP !== undefined) payload.top_p = options.topP;
+   if (options.topK !== undefined && !thinking) payload.top_k = options.topK;
+   if (options.stop !== undefined) payload.stop_sequences = [].concat(options.stop);
+   if (options.user !== undefined) payload.metadata = { user_id: options.user };
 
-   const thinking = getThinkingConfig('anthropic', model, options.think);
    if (thinking) {
     payload.thinking = thinking;
+    // The thinking budget is part of max_tokens, keep the requested room for the answer on top of it
+    if (payload.max_tokens <= thinking.budget_tokens) payload.max_tokens += thinking.budget_tokens;
    }
 
    if (systemMessage && systemMessage.trim() !== '') {
-    payload.system = systemMessage;
+    payload.system = cacheSystem ? markCacheBreakpoint(systemMessage) : systemMessage;
+   }
+
+   if (options.stream) payload.stream = true;
+
+   if (options.tools?.length) {
+    payload.tools = options.tools.map(tool => ({ name: tool.name, description: tool.description || '', input_schema: tool.parameters || { type: 'object', properties: {} } }));
+    // Tools come first in Claude's cache prefix, a breakpoint on the last one covers them all
+    if (options.promptCache) payload.tools = markCacheBreakpoint(payload.tools);
+    const toolChoice = options.toolChoice;
+    if (toolChoice === 'auto' || toolChoice === 'none') payload.tool_choice = { type: toolChoice };
+    else if (toolChoice === 'required') payload.tool_choice = { type: 'any' };
+    else if (toolChoice?.name) payload.tool_choice = { type: 'tool', name: toolChoice.name };
+   }
+
+   if (options.schema && !thinking) {
+    payload.tools = [...(payload.tools || []), { name: SCHEMA_TOOL_NAME, description: 'Return the final answer as structured data', input_schema: options.schema }];
+    payload.tool_choice = { type: 'tool', name: SCHEMA_TOOL_NAME };
    }
 
    return payload;
   },
-  extractResponse: (data) => data.content[0].text
+  extractResponse: (data) => (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+  extractReasoning: (data) => (data.content || []).filter(block => block.type === 'thinking').map(block => block.thinking).join(''),
+  extractThinkingBlocks: (data) => (data.content || []).filter(block => block.type === 'thinking' || block.type === 'redacted_thinking'),
+  extractToolCalls: (data) => (data.content || []).filter(block => block.type === 'tool_use').map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+  extractFinishReason: (data) => data.stop_reason,
+  mapError: (status, body) => {
+   const type = body?.error?.type;
+   const message = String(body?.error?.message || '').toLowerCase();
+   if (type === 'authentication_error' || type === 'permission_error') return AuthError;
+   if (type === 'rate_limit_error') return RateLimitError;
+   if (message.includes('credit balance')) return QuotaError;
+   if (message.includes('prompt is too long') || message.includes('context window')) return ContextLengthError;
+   return mapHttpError(status);
+  },
+  parseStreamEvent: (data) => {
+   if (data.type === 'error') throw streamError(data);
+   if (data.type === 'message_start') return { text: '', usage: data.message?.usage, id: data.message?.id };
+   if (data.type === 'message_delta') return { text: '', usage: data.usage, finishReason: data.delta?.stop_reason || undefined };
+   if (data.type === 'content_block_start' && data.content_block?.type === 'tool_use') {
+    return { text: '', toolCalls: [{ index: data.index, id: data.content_block.id, name: data.content_block.name }] };
+   }
+   if (data.type === 'content_block_start' && (data.content_block?.type === 'thinking' || data.content_block?.type === 'redacted_thinking')) {
+    return { text: '', thinkingBlocks: [{ index: data.index, ...data.content_block }] };
+   }
+   if (data.type === 'content_block_delta' && data.delta?.type === 'thinking_delta') {
+    return { text: '', reasoning: data.delta.thinking, thinkingBlocks: [{ index: data.index, thinking: data.delta.thinking }] };
+   }
+   if (data.type === 'content_block_delta' && data.delta?.type === 'signature_delta') {
+    return { text: '', thinkingBlocks: [{ index: data.index, signature: data.delta.signature }] };
+   }
+   if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') return { text: data.delta.text };
+   if (data.type === 'content_block_delta' && data.delta?.type === 'input_json_delta') {
+    return { text: '', toolCalls: [{ index: data.index, arguments: data.delta.partial_json }] };
+   }
+   return { text: '' };
+  }
  },
 
  mistral: {
-  apiKey: process.env.MISTRAL_API_KEY || '',
+  adapter: 'openai',
+  apiKeyEnv: 'MISTRAL_API_KEY',
+  auth: 'bearer',
   baseUrl: 'https://api.mistral.ai/v1/chat/completions',
+  modelDefaults: { contextWindow: 128000, maxOutput: 32768, tools: true, json: true, params: ['topP', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n'] },
+  imageLimits: { urls: true, maxBytes: 10 * MB, maxCount: 8 },
+  imageTokens: mistralImageTokens,
   models: {
-   'mistral-small': { name: 'mistral-small-latest', cost: { in: 0.1, out: 0.3 } },
-   'mistral-large': { name: 'mistral-large-latest', cost: { in: 2, out: 6 } },
-   'mistral-medium': { name: 'mistral-medium-latest', cost: { in: 0.4, out: 2 } },
+   'mistral-small': { name: 'mistral-small-latest', cost: { in: 0.1, out: 0.3 }, vision: true },
+   'mistral-large': { name: 'mistral-large-latest', cost: { in: 2, out: 6 }, vision: true },
+   'mistral-medium': { name: 'mistral-medium-latest', cost: { in: 0.4, out: 2 }, vision: true },
    'ministral-8b': { name: 'ministral-8b-latest', cost: { in: 0.1, out: 0.3 } },
    'ministral-3b': { name: 'ministral-3b-latest', cost: { in: 0.04, out: 0.04 } },
-   'magistral-small': { name: 'magistral-small-latest', cost: { in: 0.5, out: 1.5 } },
-   'magistral-medium': { name: 'magistral-medium-latest', cost: { in: 0.5, out: 1.5 } },
-   'pixtral-large': { name: 'pixtral-large-latest', cost: { in: 2, out: 6 } },
-   'pixtral-12b': { name: 'pixtral-12b', cost: { in: 0.15, out: 0.15 } }
+   'magistral-small': { name: 'magistral-small-latest', cost: { in: 0.5, out: 1.5 }, contextWindow: 40000 },
+   'magistral-medium': { name: 'magistral-medium-latest', cost: { in: 0.5, out: 1.5 }, contextWindow: 40000 },
+   'pixtral-large': { name: 'pixtral-large-latest', cost: { in: 2, out: 6 }, vision: true },
+   'pixtral-12b': { name: 'pixtral-12b', cost: { in: 0.15, out: 0.15 }, vision: true }
+  },
+  embeddings: {
+   'mistral-embed': { name: 'mistral-embed', cost: { in: 0.1 }, dimensions: 1024 },
+   'codestral-embed': { name: 'codestral-embed', cost: { in: 0.15 }, dimensions: 1536, customDimensions: true }
   },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
+  embeddingUrl: embeddingUrlFor,
+  embeddingBatchSize: 128,
+  // Mistral calls the size output_dimension
+  formatEmbeddingPayload: (inputs, model, options = {}) => ({ model, input: inputs, ...(options.dimensions && { output_dimension: options.dimensions }) }),
+  extractEmbeddings: extractOpenAIEmbeddings,
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
    const isVision = isVisionRequest(messages);
-   let processedMessages = messages;
+   let processedMessages = options.schema ? injectSchemaPrompt(messages, options.schema) : messages;
    if (isVision) {
-    processedMessages = messages.map(msg => {
+    processedMessages = processedMessages.map(msg => {
      if (Array.isArray(msg.content)) {
-      return { ...msg, content: msg.content.map(item => item.type === 'image' ? { type: 'image_url', image_url: { url: processImageContent(item.url) } } : item) };
+      return { ...msg, content: msg.content.map(item => item.type === 'image' ? openAIImagePart(item) : item) };
      }
      return msg;
     });
    }
-   return { model, messages: processedMessages, max_tokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature || _DEFAULT.temperature };
+   const payload = { model, messages: formatOpenAIToolMessages(processedMessages), max_tokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature ?? _DEFAULT.temperature };
+   // Mistral calls the seed random_seed
+   const { seed, ...params } = applyOpenAIParams({}, options);
+   Object.assign(payload, params, seed !== undefined && { random_seed: seed });
+   if (options.stream) payload.stream = true;
+   return applyOpenAITools(payload, options);
   },
-  extractResponse: (data) => data.choices?.[0]?.message?.content ?? ''
+  extractResponse: (data) => data.choices?.[0]?.message?.content ?? '',
+  extractReasoning: extractOpenAIReasoning,
+  extractToolCalls: extractOpenAIToolCalls,
+  extractFinishReason: extractOpenAIFinishReason,
+  extractLogprobs: extractOpenAILogprobs,
+  extractCandidates: extractOpenAICandidates,
+  parseStreamEvent: parseOpenAIStreamEvent,
+  mapError: mapOpenAIError
  },
 
  grok: {
-  apiKey: process.env.XAI_API_KEY || '',
+  adapter: 'openai',
+  apiKeyEnv: 'XAI_API_KEY',
+  auth: 'bearer',
   baseUrl: 'https://api.x.ai/v1/chat/completions',
+  // Reasoning models reject penalties and stop sequences
+  modelDefaults: { contextWindow: 131072, maxOutput: 32768, tools: true, json: true, params: OPENAI_PARAMS, reasoningParams: ['topP', 'seed', 'n', 'logprobs', 'user'], maxStop: 4 },
+  imageLimits: { urls: true, maxBytes: 20 * MB },
   models: {
-   'grok-4': { name: 'grok-4-latest', cost: { in: 3, out: 15 } },
-   'grok-3-mini': { name: 'grok-3-mini-latest', cost: { in: 0.1, out: 0.5 } },
-   'grok-3m': { name: 'grok-3-mini-latest', cost: { in: 0.1, out: 0.5 } },
-   'grok-code-fast': { name: 'grok-code-fast', cost: { in: 0.2, out: 1.5 } }
+   'grok-4': { name: 'grok-4-latest', cost: { in: 3, out: 15 }, contextWindow: 256000, vision: true, params: ['topP', 'seed', 'n', 'logprobs', 'user'] },
+   'grok-3-mini': { name: 'grok-3-mini-latest', cost: { in: 0.1, out: 0.5 }, thinking: 'effort' },
+   'grok-3m': { name: 'grok-3-mini-latest', cost: { in: 0.1, out: 0.5 }, thinking: 'effort' },
+   'grok-code-fast': { name: 'grok-code-fast', cost: { in: 0.2, out: 1.5 }, contextWindow: 256000 }
   },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
-   const payload = { model, messages, max_tokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature || _DEFAULT.temperature };
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
+   const processedMessages = messages.map(msg => Array.isArray(msg.content) ? { ...msg, content: msg.content.map(item => item.type === 'image' ? openAIImagePart(item) : item) } : msg);
+   const payload = applyOpenAIParams({ model, messages: formatOpenAIToolMessages(processedMessages), max_tokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature ?? _DEFAULT.temperature }, options);
 
-   const thinking = getThinkingConfig('grok', model, options.think);
+   const thinking = getThinkingConfig('grok', info, options.think);
    if (thinking) {
     payload.reasoning_effort = thinking.reasoning_effort;
    }
 
-   return payload;
+   if (options.stream) {
+    payload.stream = true;
+    payload.stream_options = { include_usage: true };
+   }
+
+   return applyOpenAISchema(applyOpenAITools(payload, options), options);
   },
-  extractResponse: (data) => data.choices?.[0]?.message?.content ?? ''
+  extractResponse: (data) => data.choices?.[0]?.message?.content ?? '',
+  extractReasoning: extractOpenAIReasoning,
+  extractToolCalls: extractOpenAIToolCalls,
+  extractFinishReason: extractOpenAIFinishReason,
+  extractLogprobs: extractOpenAILogprobs,
+  extractCandidates: extractOpenAICandidates,
+  parseStreamEvent: parseOpenAIStreamEvent,
+  mapError: mapOpenAIError
  },
 
  gemini: {
-  apiKey: process.env.GEMINI_API_KEY || '',
+  adapter: 'gemini',
+  apiKeyEnv: 'GEMINI_API_KEY',
+  auth: 'query',
+  authParam: 'key',
   baseUrl: 'https://generativelanguage.googleapis.com/v1beta/models',
+  requestUrl: (baseUrl, model, options = {}) => `${baseUrl}/${model}:${options.stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`,
+  modelDefaults: { contextWindow: 1048576, maxOutput: 65536, vision: true, pdf: true, tools: true, json: true, params: ['topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n', 'logprobs'], maxStop: 5 },
+  // Inline data only (remote images are downloaded first), and the whole request must stay under 20 MB
+  imageLimits: { urls: false, maxBytes: 20 * MB, maxCount: 3600, maxTotalBytes: 20 * MB },
+  imageTokens: geminiImageTokens,
+  pdfPageTokens: 258,
   models: {
-   '2.5-flash': { name: 'gemini-2.5-flash', cost: { in: 0.3, out: 2.5 } },
-   'gemini-2.5f': { name: 'gemini-2.5-flash', cost: { in: 0.3, out: 2.5 } },
-   '2.5-pro': { name: 'gemini-2.5-pro', cost: { in: 1.25, out: 10 } },
-   'gemini-2.5p': { name: 'gemini-2.5-pro', cost: { in: 1.25, out: 10 } },
-   '2.5-flash-lite': { name: 'gemini-2.5-flash-lite-preview-06-17', cost: { in: 0.1, out: 0.4 } },
-   'gemini-2.5fl': { name: 'gemini-2.5-flash-lite-preview-06-17', cost: { in: 0.1, out: 0.4 } },
-   '2.0-flash': { name: 'gemini-2.0-flash', cost: { in: 0.1, out: 0.4 } },
-   'gemini-2f': { name: 'gemini-2.0-flash', cost: { in: 0.1, out: 0.4 } },
-   '2.0-flash-lite': { name: 'gemini-2.0-flash-lite', cost: { in: 0.075, out: 0.3 } },
-   'gemini-2fl': { name: 'gemini-2.0-flash-lite', cost: { in: 0.075, out: 0.3 } }
-  },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
+   '2.5-flash': { name: 'gemini-2.5-flash', cost: { in: 0.3, out: 2.5, cachedIn: 0.075 }, thinking: 'budget' },
+   'gemini-2.5f': { name: 'gemini-2.5-flash', cost: { in: 0.3, out: 2.5, cachedIn: 0.075 }, thinking: 'budget' },
+   '2.5-pro': { name: 'gemini-2.5-pro', cost: { in: 1.25, out: 10, cachedIn: 0.31 }, thinking: 'budget' },
+   'gemini-2.5p': { name: 'gemini-2.5-pro', cost: { in: 1.25, out: 10, cachedIn: 0.31 }, thinking: 'budget' },
+   '2.5-flash-lite': { name: 'gemini-2.5-flash-lite-preview-06-17', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, thinking: 'budget' },
+   'gemini-2.5fl': { name: 'gemini-2.5-flash-lite-preview-06-17', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, thinking: 'budget' },
+   '2.0-flash': { name: 'gemini-2.0-flash', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, maxOutput: 8192 },
+   'gemini-2f': { name: 'gemini-2.0-flash', cost: { in: 0.1, out: 0.4, cachedIn: 0.025 }, maxOutput: 8192 },
+   '2.0-flash-lite': { name: 'gemini-2.0-flash-lite', cost: { in: 0.075, out: 0.3 }, maxOutput: 8192 },
+   'gemini-2fl': { name: 'gemini-2.0-flash-lite', cost: { in: 0.075, out: 0.3 }, maxOutput: 8192 }
+  },
+  embeddings: {
+   'gemini-embedding': { name: 'gemini-embedding-001', cost: { in: 0.15 }, dimensions: 3072, customDimensions: true },
+   'text-embedding-004': { name: 'text-embedding-004', cost: { in: 0 }, dimensions: 768, customDimensions: true }
+  },
+  embeddingUrl: (baseUrl, model) => `${baseUrl}/${model}:batchEmbedContents`,
+  embeddingBatchSize: 100,
+  // options.taskType: RETRIEVAL_QUERY, RETRIEVAL_DOCUMENT, SEMANTIC_SIMILARITY, CLASSIFICATION, CLUSTERING...
+  formatEmbeddingPayload: (inputs, model, options = {}) => ({
+   requests: inputs.map(text => ({
+    model: `models/${model}`,
+    content: { parts: [{ text }] },
+    ...(options.dimensions && { outputDimensionality: options.dimensions }),
+    ...(options.taskType && { taskType: options.taskType })
+   }))
+  }),
+  // No usage in the response, embed() estimates it
+  extractEmbeddings: (data) => ({ vectors: (data.embeddings || []).map(embedding => embedding.values) }),
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
    let systemMessage = '';
    const convertedMessages = [];
-   const isVision = isVisionRequest(messages);
+   const isVision = isVisionRequest(messages) || hasFileParts(messages);
 
    for (const msg of messages) {
     if (msg.role === 'system') {
@@ -384,12 +1324,31 @@ const AI_PROVIDERS = {
      continue;
     }
 
+    if (msg.role === 'tool') {
+     const result = stringifyToolResult(msg.content);
+     let response;
+     try {
+      response = JSON.parse(result);
+     } catch (e) {
+      response = null;
+     }
+     if (!response || typeof response !== 'object' || Array.isArray(response)) response = { content: result };
+     const part = { functionResponse: { name: msg.name, response } };
+     const lastMessage = convertedMessages[convertedMessages.length - 1];
+     if (lastMessage && lastMessage.role === 'user') lastMessage.parts.push(part);
+     else convertedMessages.push({ role: 'user', parts: [part] });
+     continue;
+    }
+
     if (msg.role !== 'user' && msg.role !== 'assistant') continue;
 
     const currentRole = msg.role === 'assistant' ? 'model' : 'user';
     let parts;
 
-    if (isVision && Array.isArray(msg.content)) {
+    if (msg.role === 'assistant' && msg.toolCalls?.length) {
+     parts = typeof msg.content === 'string' && msg.content ? [{ text: msg.content }] : [];
+     for (const tc of msg.toolCalls) parts.push({ functionCall: { name: tc.name, args: tc.arguments ?? {} } });
+    } else if (isVision && Array.isArray(msg.content)) {
      parts = msg.content.map(item => {
       if (item.type === 'image') {
        const dataUrl = processImageContent(item.url);
@@ -403,6 +1362,9 @@ const AI_PROVIDERS = {
         }
        };
       }
+      if (item.type === 'file') {
+       return { inlineData: { mimeType: item.mimeType, data: item.data } };
+      }
       if (item.type === 'text') {
        return { text: item.text };
       }
@@ -431,10 +1393,22 @@ const AI_PROVIDERS = {
 
    const payload = {
     contents: convertedMessages,
-    generationConfig: { maxOutputTokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature || _DEFAULT.temperature }
+    generationConfig: { maxOutputTokens: maxTokens || _DEFAULT.maxTokens, temperature: options.temperature ?? _DEFAULT.temperature }
    };
+   const generationConfig = payload.generationConfig;
+   if (options.topP !== undefined) generationConfig.topP = options.topP;
+   if (options.topK !== undefined) generationConfig.topK = options.topK;
+   if (options.stop !== undefined) generationConfig.stopSequences = [].concat(options.stop);
+   if (options.seed !== undefined) generationConfig.seed = options.seed;
+   if (options.presencePenalty !== undefined) generationConfig.presencePenalty = options.presencePenalty;
+   if (options.frequencyPenalty !== undefined) generationConfig.frequencyPenalty = options.frequencyPenalty;
+   if (options.n !== undefined) generationConfig.candidateCount = options.n;
+   if (options.logprobs) {
+    generationConfig.responseLogprobs = true;
+    if (typeof options.logprobs === 'number') generationConfig.logprobs = options.logprobs;
+   }
 
-   const thinking = getThinkingConfig('gemini', model, options.think);
+   const thinking = getThinkingConfig('gemini', info, options.think);
    if (thinking) {
     payload.generationConfig.thinkingConfig = thinking;
    }
@@ -443,64 +1417,145 @@ const AI_PROVIDERS = {
     payload.system_instruction = { parts: [{ text: systemMessage }] };
    }
 
-   return payload;
-  },
-  extractResponse: (data) => {
-   if (!data.candidates?.length || !data.candidates[0].content?.parts?.length) {
+   if (options.schema) {
+    payload.generationConfig.responseMimeType = 'application/json';
+    payload.generationConfig.responseSchema = toGeminiSchema(options.schema);
+   }
+
+   if (options.tools?.length) {
+    payload.tools = [{ functionDeclarations: options.tools.map(tool => ({ name: tool.name, description: tool.description || '', parameters: toGeminiSchema(tool.parameters || { type: 'object', properties: {} }) })) }];
+    const toolChoice = options.toolChoice;
+    if (toolChoice === 'auto' || toolChoice === 'none') payload.toolConfig = { functionCallingConfig: { mode: toolChoice.toUpperCase() } };
+    else if (toolChoice === 'required') payload.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+    else if (toolChoice?.name) payload.toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } };
+   }
+
+   if (options.cachedContent) {
+    // The system instruction and tools were stored with the cached content and can't be sent again
+    payload.cachedContent = options.cachedContent;
+    delete payload.system_instruction;
+    delete payload.tools;
+    delete payload.toolConfig;
+   }
+
+   return payload;
+  },
+  extractResponse: (data) => {
+   if (data.promptFeedback?.blockReason) throw new ContentFilterError(`Prompt blocked by Gemini: ${data.promptFeedback.blockReason}`, { error: data.promptFeedback });
+   if (data.candidates?.[0]?.finishReason === 'SAFETY' && !data.candidates[0].content?.parts?.length) {
+    throw new ContentFilterError('Response blocked by Gemini safety filters', { error: data.candidates[0] });
+   }
+   if (!data.candidates?.length || !data.candidates[0].content?.parts?.length) {
     throw new Error('Invalid Gemini response structure');
    }
-   return data.candidates[0].content.parts.filter(p => p.text).map(p => p.text).join('');
+   return data.candidates[0].content.parts.filter(p => p.text && !p.thought).map(p => p.text).join('');
+  },
+  // Thought summaries, sent because thinkingConfig asks for includeThoughts
+  extractReasoning: (data) => (data.candidates?.[0]?.content?.parts || []).filter(p => p.text && p.thought).map(p => p.text).join(''),
+  extractLogprobs: (data) => {
+   const result = data.candidates?.[0]?.logprobsResult;
+   if (!result) return undefined;
+   return (result.chosenCandidates || []).map((chosen, i) => ({
+    token: chosen.token,
+    logprob: chosen.logProbability,
+    top: (result.topCandidates?.[i]?.candidates || []).map(alt => ({ token: alt.token, logprob: alt.logProbability }))
+   }));
+  },
+  extractFinishReason: (data) => data.candidates?.[0]?.finishReason,
+  extractCandidates: (data) => (data.candidates || []).map(candidate => (candidate.content?.parts || []).filter(p => p.text && !p.thought).map(p => p.text).join('')),
+  mapError: (status, body) => {
+   const error = body?.error || {};
+   if (error.status === 'UNAUTHENTICATED' || error.status === 'PERMISSION_DENIED' || error.details?.some(d => d.reason === 'API_KEY_INVALID')) return AuthError;
+   if (error.status === 'RESOURCE_EXHAUSTED') return RateLimitError;
+   if (/exceeds the maximum number of tokens|input token count/i.test(error.message || '')) return ContextLengthError;
+   return mapHttpError(status);
+  },
+  // Gemini has no call ids, results are matched back by function name
+  extractToolCalls: (data) => (data.candidates?.[0]?.content?.parts || []).filter(p => p.functionCall).map((p, i) => ({ id: `call_${i}`, name: p.functionCall.name, arguments: p.functionCall.args || {} })),
+  parseStreamEvent: (data, state) => {
+   if (data.error) throw streamError(data);
+   if (data.promptFeedback?.blockReason) throw new ContentFilterError(`Prompt blocked by Gemini: ${data.promptFeedback.blockReason}`, { error: data.promptFeedback });
+   const parts = data.candidates?.[0]?.content?.parts || [];
+   const toolCalls = parts.filter(p => p.functionCall).map(p => {
+    const index = state.toolCallCount++;
+    return { index, id: `call_${index}`, name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) };
+   });
+   return {
+    text: parts.filter(p => p.text && !p.thought).map(p => p.text).join(''),
+    reasoning: parts.filter(p => p.text && p.thought).map(p => p.text).join(''),
+    usage: data.usageMetadata,
+    toolCalls,
+    finishReason: data.candidates?.[0]?.finishReason,
+    safetyRatings: data.candidates?.[0]?.safetyRatings,
+    id: data.responseId
+   };
   }
  },
 
  together: {
-  apiKey: process.env.TOGETHER_API_KEY || '',
+  adapter: 'openai',
+  apiKeyEnv: 'TOGETHER_API_KEY',
+  auth: 'bearer',
   baseUrl: 'https://api.together.xyz/v1/chat/completions',
+  modelDefaults: { contextWindow: 131072, maxOutput: 32768, tools: true, params: ['topP', 'topK', 'stop', 'seed', 'presencePenalty', 'frequencyPenalty', 'n', 'logprobs'] },
+  imageLimits: { urls: true, maxBytes: 20 * MB },
   models: {
-   'qw3-235b-think': { name: 'Qwen/Qwen3-235B-A22B-Thinking-2507', cost: { in: 0.65, out: 3 } },
-   'qw3-480b': { name: 'Qwen/Qwen3-Coder-480B-A35B-Instruct-FP8', cost: { in: 2, out: 2 } },
-   'qw3-235b-tput': { name: 'Qwen/Qwen3-235B-A22B-Instruct-2507-tput', cost: { in: 0.2, out: 0.6 } },
-   'qw2.5-vl-72b': { name: 'Qwen/Qwen2.5-VL-72B-Instruct', cost: { in: 1.95, out: 8 } },
+   'qw3-235b-think': { name: 'Qwen/Qwen3-235B-A22B-Thinking-2507', cost: { in: 0.65, out: 3 }, contextWindow: 262144 },
+   'qw3-480b': { name: 'Qwen/Qwen3-Coder-480B-A35B-Instruct-FP8', cost: { in: 2, out: 2 }, contextWindow: 262144 },
+   'qw3-235b-tput': { name: 'Qwen/Qwen3-235B-A22B-Instruct-2507-tput', cost: { in: 0.2, out: 0.6 }, contextWindow: 262144 },
+   'qw2.5-vl-72b': { name: 'Qwen/Qwen2.5-VL-72B-Instruct', cost: { in: 1.95, out: 8 }, contextWindow: 32768, vision: true },
    'qwq-32b': { name: 'Qwen/QwQ-32B', cost: { in: 1.2, out: 1.2 } },
-   'llam4-mav': { name: 'meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8', cost: { in: 0.27, out: 0.85 } },
-   'llam4-sc': { name: 'meta-llama/Llama-4-Scout-17B-16E-Instruct', cost: { in: 0.18, out: 0.59 } },
+   'llam4-mav': { name: 'meta-llama/Llama-4-Maverick-17B-128E-Instruct-FP8', cost: { in: 0.27, out: 0.85 }, contextWindow: 1048576, vision: true },
+   'llam4-sc': { name: 'meta-llama/Llama-4-Scout-17B-16E-Instruct', cost: { in: 0.18, out: 0.59 }, contextWindow: 1048576, vision: true },
    'llam3.3-70b-t': { name: 'meta-llama/Llama-3.3-70B-Instruct-Turbo', cost: { in: 0.88, out: 0.88 } },
-   'mx-8x7b': { name: 'mistralai/Mixtral-8x7B-Instruct-v0.1', cost: { in: 0.6, out: 0.6 } },
-   'ms-7b': { name: 'mistralai/Mistral-7B-Instruct-v0.1', cost: { in: 0.2, out: 0.2 } },
-   'ms-24b': { name: 'mistralai/Mistral-Small-24B-Instruct-2501', cost: { in: 0.8, out: 0.8 } },
-   'ds-r1': { name: 'deepseek-ai/DeepSeek-R1', cost: { in: 3, out: 7 } },
+   'mx-8x7b': { name: 'mistralai/Mixtral-8x7B-Instruct-v0.1', cost: { in: 0.6, out: 0.6 }, contextWindow: 32768 },
+   'ms-7b': { name: 'mistralai/Mistral-7B-Instruct-v0.1', cost: { in: 0.2, out: 0.2 }, contextWindow: 8192 },
+   'ms-24b': { name: 'mistralai/Mistral-Small-24B-Instruct-2501', cost: { in: 0.8, out: 0.8 }, contextWindow: 32768 },
+   'ds-r1': { name: 'deepseek-ai/DeepSeek-R1', cost: { in: 3, out: 7 }, contextWindow: 163840 },
    'ds-v3': { name: 'deepseek-ai/DeepSeek-V3', cost: { in: 1.25, out: 1.25 } },
-   'ds-r1-tput': { name: 'deepseek-ai/DeepSeek-R1-0528-tput', cost: { in: 0.55, out: 2.19 } },
+   'ds-r1-tput': { name: 'deepseek-ai/DeepSeek-R1-0528-tput', cost: { in: 0.55, out: 2.19 }, contextWindow: 163840 },
    'ds-r1-dis-llam': { name: 'deepseek-ai/DeepSeek-R1-Distill-Llama-70B', cost: { in: 2, out: 2 } },
    'ds-r1-dis-qw': { name: 'deepseek-ai/DeepSeek-R1-Distill-Qwen-14B', cost: { in: 1.6, out: 1.6 } },
-   'gemma-3n-4b': { name: 'google/gemma-3n-E4B-it', cost: { in: 0.02, out: 0.04 } },
+   'gemma-3n-4b': { name: 'google/gemma-3n-E4B-it', cost: { in: 0.02, out: 0.04 }, contextWindow: 32768, vision: true },
    'oai-gpt-20b': { name: 'openai/gpt-oss-20b', cost: { in: 0.05, out: 0.2 } },
    'oai-gpt-120b': { name: 'openai/gpt-oss-120b', cost: { in: 0.15, out: 0.6 } },
    'kimi-k2': { name: 'moonshotai/Kimi-K2-Instruct', cost: { in: 1, out: 3 } },
    'glm-4.5-air': { name: 'zai-org/GLM-4.5-Air-FP8', cost: { in: 0.2, out: 1.1 } },
-   'exa-3.5-32b': { name: 'lgai/exaone-3-5-32b-instruct', cost: { in: 0, out: 0 } },
-   'exa-deep-32b': { name: 'lgai/exaone-deep-32b', cost: { in: 0, out: 0 } },
-   'rf-small': { name: 'togethercomputer/Refuel-Llm-V2-Small', cost: { in: 0.2, out: 0.2 } },
-   'cog-v2-70b': { name: 'deepcogito/cogito-v2-preview-llama-70B', cost: { in: 0.88, out: 0.88 } },
+   'exa-3.5-32b': { name: 'lgai/exaone-3-5-32b-instruct', cost: { in: 0, out: 0 }, contextWindow: 32768 },
+   'exa-deep-32b': { name: 'lgai/exaone-deep-32b', cost: { in: 0, out: 0 }, contextWindow: 32768 },
+   'rf-small': { name: 'togethercomputer/Refuel-Llm-V2-Small', cost: { in: 0.2, out: 0.2 }, contextWindow: 8192 },
+   'cog-v2-70b': { name: 'deepcogito/cogito-v2-preview-llama-70B', cost: { in: 0.88, out: 0.88 }, contextWindow: 32768 },
    'llam3.1-8b-t': { name: 'meta-llama/Meta-Llama-3.1-8B-Instruct-Turbo', cost: { in: 0.18, out: 0.18 } },
-   'qw2.5-7b-t': { name: 'Qwen/Qwen2.5-7B-Instruct-Turbo', cost: { in: 0.3, out: 0.3 } },
-   'qw2.5-72b-t': { name: 'Qwen/Qwen2.5-72B-Instruct-Turbo', cost: { in: 1.2, out: 1.2 } },
-   'qw2.5-coder-32b': { name: 'Qwen/Qwen2.5-Coder-32B-Instruct', cost: { in: 1.2, out: 1.2 } },
-   'qw3-235b-tput-fp8': { name: 'Qwen/Qwen3-235B-A22B-fp8-tput', cost: { in: 0.2, out: 0.6 } },
-   'arcee-coder-l': { name: 'arcee-ai/coder-large', cost: { in: 0.5, out: 0.8 } },
-   'arcee-maestro': { name: 'arcee-ai/maestro-reasoning', cost: { in: 0.9, out: 3.3 } },
+   'qw2.5-7b-t': { name: 'Qwen/Qwen2.5-7B-Instruct-Turbo', cost: { in: 0.3, out: 0.3 }, contextWindow: 32768 },
+   'qw2.5-72b-t': { name: 'Qwen/Qwen2.5-72B-Instruct-Turbo', cost: { in: 1.2, out: 1.2 }, contextWindow: 32768 },
+   'qw2.5-coder-32b': { name: 'Qwen/Qwen2.5-Coder-32B-Instruct', cost: { in: 1.2, out: 1.2 }, contextWindow: 32768 },
+   'qw3-235b-tput-fp8': { name: 'Qwen/Qwen3-235B-A22B-fp8-tput', cost: { in: 0.2, out: 0.6 }, contextWindow: 40960 },
+   'arcee-coder-l': { name: 'arcee-ai/coder-large', cost: { in: 0.5, out: 0.8 }, contextWindow: 32768 },
+   'arcee-maestro': { name: 'arcee-ai/maestro-reasoning', cost: { in: 0.9, out: 3.3 }, contextWindow: 32768 },
    'llam3.1-405b-t': { name: 'meta-llama/Meta-Llama-3.1-405B-Instruct-Turbo', cost: { in: 3.5, out: 3.5 } },
    'llam3.2-3b-t': { name: 'meta-llama/Llama-3.2-3B-Instruct-Turbo', cost: { in: 0.06, out: 0.06 } }
   },
-  formatPayload: (messages, model, maxTokens, options = {}) => {
+  embeddings: {
+   'm2-bert-32k': { name: 'togethercomputer/m2-bert-80M-32k-retrieval', cost: { in: 0.008 }, dimensions: 768 },
+   'bge-large': { name: 'BAAI/bge-large-en-v1.5', cost: { in: 0.02 }, dimensions: 1024 },
+   'bge-base': { name: 'BAAI/bge-base-en-v1.5', cost: { in: 0.008 }, dimensions: 768 }
+  },
+  embeddingUrl: embeddingUrlFor,
+  embeddingBatchSize: 128,
+  formatEmbeddingPayload: formatOpenAIEmbeddingPayload,
+  extractEmbeddings: extractOpenAIEmbeddings,
+  formatPayload: (messages, model, maxTokens, options = {}, info = {}) => {
    const converted = [];
-   for (const msg of messages) {
+   const source = options.schema ? injectSchemaPrompt(messages, options.schema) : messages;
+   for (const msg of formatOpenAIToolMessages(source)) {
     if (!msg || !msg.role) continue;
-    if (Array.isArray(msg.content)) {
+    if (msg.role === 'tool' || msg.tool_calls) {
+     converted.push(msg);
+    } else if (Array.isArray(msg.content)) {
      const parts = msg.content.map(item => {
       if (item.type === 'text') return { type: 'text', text: item.text };
       if (item.type === 'image_url' && item.image_url?.url) return { type: 'image_url', image_url: { url: processImageContent(item.image_url.url) } };
-      if (item.type === 'image' && item.url) return { type: 'image_url', image_url: { url: processImageContent(item.url) } };
+      if (item.type === 'image' && item.url) return openAIImagePart(item);
       if (item.type === 'image' && item.data) return { type: 'image_url', image_url: { url: processImageContent(item.data) } };
       return { type: 'text', text: String(item.text ?? item) };
      });
@@ -511,16 +1566,27 @@ const AI_PROVIDERS = {
      converted.push(msg);
     }
    }
-   const payload = { model, messages: converted, temperature: options.temperature || _DEFAULT.temperature, max_tokens: maxTokens || _DEFAULT.maxTokens };
-   if (options.tools) payload.tools = options.tools;
-   if (options.stream) payload.stream = options.stream;
-   return payload;
+   const payload = applyOpenAIParams({ model, messages: converted, temperature: options.temperature ?? _DEFAULT.temperature, max_tokens: maxTokens || _DEFAULT.maxTokens }, options);
+   // Together's logprobs is the number of alternatives per token
+   if (options.logprobs) {
+    payload.logprobs = typeof options.logprobs === 'number' ? options.logprobs : 1;
+    delete payload.top_logprobs;
+   }
+   if (options.stream) payload.stream = true;
+   return applyOpenAITools(payload, options);
   },
   extractResponse: (data) => {
-   if (data.choices && data.choices[0] && data.choices[0].message) return data.choices[0].message.content;
+   if (data.choices && data.choices[0] && data.choices[0].message) return data.choices[0].message.content ?? '';
    if (typeof data.output === 'string') return data.output;
    return '';
-  }
+  },
+  extractReasoning: extractOpenAIReasoning,
+  extractToolCalls: extractOpenAIToolCalls,
+  extractFinishReason: extractOpenAIFinishReason,
+  extractLogprobs: extractOpenAILogprobs,
+  extractCandidates: extractOpenAICandidates,
+  parseStreamEvent: parseOpenAIStreamEvent,
+  mapError: mapOpenAIError
  }
 };
 
@@ -531,92 +1597,623 @@ function findProviderForModel(model) {
  return null;
 }
 
-function normalizeUsage(provider, usage, messages, responseText) {
+function findProviderForEmbedding(model) {
+ for (const [providerName, providerConfig] of Object.entries(AI_PROVIDERS)) {
+  if (providerConfig.embeddings?.[model]) return providerName;
+ }
+ return null;
+}
+
+// Model entry merged with its provider's modelDefaults: { alias, provider, name, cost, contextWindow, maxOutput, vision, pdf, thinking, tools, json, tokenizer, params }
+export function getModelInfo(alias, provider = findProviderForModel(alias)) {
+ const config = AI_PROVIDERS[provider];
+ const entry = config?.models[alias];
+ if (!entry) return null;
+ return { ...MODEL_DEFAULTS, ...config.modelDefaults, ...entry, alias, provider };
+}
+
+// A client with an envFile reads apiKeyEnv from that file only, everyone else from process.env (and the .env next to this file)
+function resolveApiKey(config, client) {
+ loadEnv();
+ return config.apiKey || (config.apiKeyEnv && (client?.env || process.env)[config.apiKeyEnv]) || '';
+}
+
+function hasCredentials(provider, client) {
+ const config = AI_PROVIDERS[provider];
+ return config.auth === 'none' || !!client?.keys[provider] || !!resolveApiKey(config, client);
+}
+
+// The provider as a client sees it: its baseUrls replace the provider's, and providers registered without a key
+// (auth 'none') send the client's keys the adapter's way
+function providerConfig(provider, options = {}) {
+ const config = AI_PROVIDERS[provider];
+ const client = options.client;
+ if (!config || !client || (!client.baseUrls[provider] && !client.keys[provider])) return config;
+ return {
+  ...config,
+  baseUrl: client.baseUrls[provider] || config.baseUrl,
+  auth: client.keys[provider] && config.auth === 'none' ? AI_PROVIDERS[config.adapter].auth : config.auth
+ };
+}
+
+// The API key for one request: from the client's key pool for the provider when there is one, else the provider's apiKey / apiKeyEnv
+async function acquireKey(provider, model, config, options = {}) {
+ const client = options.client;
+ const pool = client?.keys[provider];
+ const apiKey = pool ? await pool.next({ provider, model, options }) : resolveApiKey(config, client);
+ if (!apiKey && config.auth !== 'none') {
+  const hint = pool ? `keys.${provider} passed to createClient() gave no key` : config.apiKeyEnv ? `Set ${config.apiKeyEnv} in ${client?.envFile || '.env'}` : 'Pass apiKey to registerProvider()';
+  throw new AuthError(`Missing API key for ${provider}. ${hint}`, { provider, model });
+ }
+ return apiKey;
+}
+
+// Keys for one provider: a string, an array, or a function (sync or async, called for every request with
+// { provider, model, options }) returning either. Several keys take turns: 'round-robin', or 'least-limited' which
+// prefers the key that was rate limited longest ago. A key that got a 429 sits out its Retry-After (a minute when
+// the provider doesn't say) while any other key is free.
+function createKeyPool(source, rotation = 'round-robin') {
+ const state = new Map();
+ const stateOf = (key) => state.get(key) || state.set(key, { limitedAt: 0, limitedUntil: 0, usedAt: 0 }).get(key);
+ let turn = 0;
+ return {
+  async next(context) {
+   const keys = [].concat(typeof source === 'function' ? await source(context) : source).filter(Boolean);
+   if (keys.length < 2) return keys[0] || '';
+   const now = Date.now();
+   const free = keys.filter(key => stateOf(key).limitedUntil <= now);
+   const candidates = free.length ? free : keys;
+   const key = rotation === 'least-limited'
+    ? candidates.reduce((best, key) => (stateOf(key).limitedAt - stateOf(best).limitedAt || stateOf(key).usedAt - stateOf(best).usedAt) < 0 ? key : best)
+    : candidates[turn++ % candidates.length];
+   stateOf(key).usedAt = now;
+   return key;
+  },
+  ready(key) {
+   return stateOf(key).limitedUntil <= Date.now();
+  },
+  limited(key, retryAfter) {
+   const entry = stateOf(key);
+   entry.limitedAt = Date.now();
+   entry.limitedUntil = entry.limitedAt + (retryAfter ?? 60000);
+  }
+ };
+}
+
+// Tells the client's key pool that a request with apiKey was rate limited
+function noteRateLimit(options, provider, apiKey, error) {
+ if (error?.status === 429 && apiKey) options.client?.keys[provider]?.limited(apiKey, retryAfterMs(error.headers) ?? error.retryAfter);
+}
+
+const ADAPTERS = ['openai', 'anthropic', 'gemini'];
+const ADAPTER_FIELDS = ['adapter', 'auth', 'authHeader', 'authParam', 'headers', 'requestUrl', 'formatPayload', 'extractResponse', 'extractReasoning', 'extractThinkingBlocks', 'extractToolCalls', 'extractFinishReason', 'parseStreamEvent', 'extractLogprobs', 'extractCandidates', 'mapError', 'imageLimits', 'imageTokens', 'pdfPageTokens', 'embeddingUrl', 'embeddingBatchSize', 'formatEmbeddingPayload', 'extractEmbeddings'];
+
+// Adds a provider that speaks one of the built-in wire formats (local Ollama/vLLM/LM Studio, OpenRouter, proxies...).
+// baseUrl is the full endpoint like the built-ins; auth is 'bearer' | 'header' | 'query' | 'none'.
+// embeddings (same shape as the built-in sections) are posted to embeddingUrl, derived from baseUrl when left out.
+export function registerProvider(name, { adapter = 'openai', baseUrl, apiKey, apiKeyEnv, auth, authHeader, authParam, headers, models = {}, modelDefaults, imageLimits, imageTokens, pdfPageTokens, embeddings = {}, embeddingUrl } = {}) {
+ if (!ADAPTERS.includes(adapter)) throw new Error(`Unknown adapter: ${adapter}. Use one of: ${ADAPTERS.join(', ')}`);
+ if (!baseUrl) throw new Error(`registerProvider('${name}') needs a baseUrl`);
+ const base = Object.fromEntries(ADAPTER_FIELDS.map(field => [field, AI_PROVIDERS[adapter][field]]));
+ AI_PROVIDERS[name] = {
+  ...base,
+  apiKey: apiKey || '',
+  apiKeyEnv,
+  auth: auth || (apiKey || apiKeyEnv ? base.auth : 'none'),
+  authHeader: authHeader || base.authHeader,
+  authParam: authParam || base.authParam,
+  headers: { ...base.headers, ...headers },
+  imageLimits: { ...base.imageLimits, ...imageLimits },
+  imageTokens: imageTokens || base.imageTokens,
+  pdfPageTokens: pdfPageTokens ?? base.pdfPageTokens,
+  baseUrl,
+  modelDefaults: { tools: true, json: true, params: AI_PROVIDERS[adapter].modelDefaults.params, ...modelDefaults },
+  models: { ...models },
+  embeddings: { ...embeddings },
+  embeddingUrl: embeddingUrl ? () => embeddingUrl : base.embeddingUrl
+ };
+ return AI_PROVIDERS[name];
+}
+
+// One entry per distinct model (first alias wins), filtered by capabilities and price per 1M tokens
+export function findModels({ provider, vision, pdf, thinking, tools, json, minContext, maxCostIn, maxCostOut, available } = {}) {
+ const seen = new Set();
+ const result = [];
+ for (const [providerName, config] of Object.entries(AI_PROVIDERS)) {
+  if (provider && provider !== providerName) continue;
+  for (const alias of Object.keys(config.models)) {
+   const info = getModelInfo(alias, providerName);
+   const key = `${providerName}:${info.name || alias}`;
+   if (seen.has(key)) continue;
+   seen.add(key);
+   if (vision !== undefined && info.vision !== vision) continue;
+   if (pdf !== undefined && info.pdf !== pdf) continue;
+   if (thinking !== undefined && (typeof thinking === 'string' ? info.thinking !== thinking : !!info.thinking !== thinking)) continue;
+   if (tools !== undefined && info.tools !== tools) continue;
+   if (json !== undefined && info.json !== json) continue;
+   if (minContext !== undefined && info.contextWindow < minContext) continue;
+   if (maxCostIn !== undefined && info.cost.in > maxCostIn) continue;
+   if (maxCostOut !== undefined && info.cost.out > maxCostOut) continue;
+   if (available !== undefined && hasCredentials(providerName) !== available) continue;
+   result.push(info);
+  }
+ }
+ return result;
+}
+
+// tiktoken's pre-tokenizer splits, with the case-insensitive contraction groups spelled out since JS has no inline flags
+const TOKENIZER_PATTERNS = {
+ o200k_base: /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD])?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu,
+ cl100k_base: /'[sS]|'[tT]|'[rR][eE]|'[vV][eE]|'[mM]|'[lL][lL]|'[dD]|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu
+};
+const ENCODINGS = new Map();
+// Native PDFs cost roughly 1500-3000 tokens a page (text plus the page image) unless the provider says otherwise (pdfPageTokens)
+const PDF_PAGE_TOKENS = 2000;
+
+// BPE ranks keyed by the token's bytes as a latin1 string, null when there's no vocabulary. A tiktoken file (`<base64 token> <rank>`
+// per line, like openaipublic.blob.core.windows.net/encodings/cl100k_base.tiktoken) in CALLAI_TOKENIZER_DIR or next to this file wins;
+// otherwise the `.bpe` shipped next to this file: brotli'd tokens in rank order, each one a length byte and its bytes.
+function loadEncoding(name) {
+ if (!ENCODINGS.has(name)) {
+  loadEnv();
+  const file = path.join(process.env.CALLAI_TOKENIZER_DIR || __dirname, `${name}.tiktoken`);
+  const packed = path.join(__dirname, `${name}.bpe`);
+  let ranks = null;
+  if (TOKENIZER_PATTERNS[name] && fs.existsSync(file)) {
+   ranks = new Map();
+   for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const [token, rank] = line.split(' ');
+    if (token) ranks.set(Buffer.from(token, 'base64').toString('latin1'), Number(rank));
+   }
+  } else if (TOKENIZER_PATTERNS[name] && fs.existsSync(packed)) {
+   ranks = new Map();
+   const bytes = zlib.brotliDecompressSync(fs.readFileSync(packed));
+   for (let i = 0; i < bytes.length; i += bytes[i] + 1) ranks.set(bytes.toString('latin1', i + 1, i + 1 + bytes[i]), ranks.size);
+  }
+  ENCODINGS.set(name, ranks);
+ }
+ return ENCODINGS.get(name);
+}
+
+// Byte pair merges within one pre-token, lowest rank first, same as tiktoken
+function bpeTokenCount(piece, ranks) {
+ const bytes = Buffer.from(piece, 'utf8').toString('latin1');
+ if (ranks.has(bytes)) return 1;
+ const parts = [...bytes];
+ while (parts.length > 1) {
+  let best = Infinity, index = -1;
+  for (let i = 0; i < parts.length - 1; i++) {
+   const rank = ranks.get(parts[i] + parts[i + 1]);
+   if (rank < best) {
+    best = rank;
+    index = i;
+   }
+  }
+  if (index < 0) break;
+  parts.splice(index, 2, parts[index] + parts[index + 1]);
+ }
+ return parts.length;
+}
+
+// Rough token count without a vocabulary, shaped after o200k_base:
+// whole ASCII words up to 6 characters, a CJK character each, 2.5 characters per token for accented Latin, 4.5 for other scripts
+function estimateTextTokens(text) {
+ let tokens = 0;
+ for (const piece of String(text).match(TOKENIZER_PATTERNS.o200k_base) || []) {
+  const word = piece.trim();
+  if (!word) tokens++;
+  else if (/^[\x00-\x7F]+$/.test(word)) tokens += Math.ceil(word.length / 6);
+  else {
+   const cjk = word.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu)?.length || 0;
+   tokens += Math.ceil(cjk * 0.8 + ([...word].length - cjk) / (/\p{Script=Latin}/u.test(word) ? 2.5 : 4.5));
+  }
+ }
+ return tokens;
+}
+
+// (text) => tokens for a model: its BPE vocabulary when the model names one (`tokenizer`) and it can be loaded, the estimate otherwise
+function textTokenCounter(info) {
+ const ranks = info?.tokenizer ? loadEncoding(info.tokenizer) : null;
+ if (!ranks) return { method: 'estimate', count: estimateTextTokens };
+ const pattern = TOKENIZER_PATTERNS[info.tokenizer];
+ return { method: 'tokenizer', count: (text) => (String(text).match(pattern) || []).reduce((sum, piece) => sum + bpeTokenCount(piece, ranks), 0) };
+}
+
+// Prompt tokens of a message list: text through `count`, images and PDF pages through the provider's formulas,
+// and 3 tokens per message for the role and separators plus 3 that prime the reply (OpenAI's chat format)
+function promptTokens(messages, config, { tools, schema } = {}, count = estimateTextTokens) {
+ let tokens = 3;
+ for (const msg of messages) {
+  tokens += 3;
+  if (typeof msg.content === 'string') tokens += count(msg.content);
+  else if (Array.isArray(msg.content)) {
+   for (const item of msg.content) {
+    if (item.type === 'text') tokens += count(item.text || '');
+    else if (item.type === 'image' || item.type === 'image_url') tokens += imageTokenCount(item, config);
+    else if (item.type === 'file') tokens += (Buffer.from(item.data || '', 'base64').toString('latin1').match(/\/Type\s*\/Page\b/g)?.length || 1) * (config?.pdfPageTokens || PDF_PAGE_TOKENS);
+   }
+  } else if (msg.content != null) tokens += count(stringifyToolResult(msg.content));
+  if (msg.toolCalls?.length) tokens += count(JSON.stringify(msg.toolCalls));
+ }
+ if (tools?.length) tokens += count(JSON.stringify(tools));
+ if (schema) tokens += count(JSON.stringify(schema));
+ return tokens;
+}
+
+function countLocalTokens(provider, model, messages, options = {}) {
+ const { method, count } = textTokenCounter(getModelInfo(model, provider));
+ return { tokens: promptTokens(messages, AI_PROVIDERS[provider], options, count), method };
+}
+
+// Count-tokens endpoints, free but a round trip: the request is formatted like a real call and the endpoint answers with its size
+const COUNT_TOKENS_APIS = {
+ anthropic: {
+  url: (config) => `${config.baseUrl}/count_tokens`,
+  body: ({ model, messages, system, tools, tool_choice, thinking }) => ({ model, messages, system, tools, tool_choice, thinking }),
+  tokens: (data) => data.input_tokens
+ },
+ gemini: {
+  url: (config, modelName) => `${config.baseUrl}/${modelName}:countTokens`,
+  body: (payload, modelName) => ({ generateContentRequest: { model: `models/${modelName}`, ...payload } }),
+  tokens: (data) => data.totalTokens
+ }
+};
+
+// Prompt tokens of `messages` (a string works too) on `model` without calling it: { tokens, method, contextWindow }.
+// method is 'tokenizer' for models with a BPE vocabulary on disk (OpenAI), 'estimate' for the rest, and 'api' when
+// remote: true asks Anthropic's or Gemini's count-tokens endpoint instead. remote is ignored for other providers.
+// options: tools, schema, think, remote, timeout, retry, signal
+export async function countTokens(model, messages, options = {}) {
+ if (!customModelsLoaded) await loadCustomModels();
+ const provider = findProviderForModel(model);
+ if (!provider) throw new Error(`Unknown model: ${model}. Available: ${Object.entries(AI_PROVIDERS).flatMap(([p, c]) => Object.keys(c.models)).join(', ')}`);
+ const config = providerConfig(provider, options);
+ const info = getModelInfo(model, provider);
+ let list = (typeof messages === 'string' ? [{ role: 'user', content: messages }] : messages).map(msg => ({ ...msg, content: Array.isArray(msg.content) ? normalizeContent(msg.content) : msg.content }));
+ list = adaptFileParts(list, info);
+ if (options.tools) options = { ...options, tools: options.tools.map(normalizeTool) };
+
+ const api = options.remote && COUNT_TOKENS_APIS[config.adapter];
+ if (!api) return { ...countLocalTokens(provider, model, list, options), contextWindow: info.contextWindow };
+ let apiKey;
+ try {
+  apiKey = await acquireKey(provider, model, config, options);
+  if (isVisionRequest(list)) list = await prepareImages(list, provider, model, options);
+  const payload = config.formatPayload(list, info.name, undefined, options, info);
+  const headers = { ...config.headers };
+  const url = authorize(config, apiKey, api.url(config, info.name), headers);
+  const { data } = await makeRequest(url, api.body(payload, info.name), headers, { timeout: options.timeout || 480000, retry: options.retry, signal: options.signal });
+  return { tokens: api.tokens(data), method: 'api', contextWindow: info.contextWindow };
+ } catch (error) {
+  noteRateLimit(options, provider, apiKey, error);
+  throw toProviderError(error, provider, model, config.mapError);
+ }
+}
+
+// Refuses requests whose prompt plus maxTokens can't fit the context window (preflight: 'warn' only warns, false skips it).
+// A prompt never has more tokens than UTF-8 bytes, so requests well under the limit are cleared without tokenizing.
+function preflightContext(provider, model, messages, options, info) {
+ const config = AI_PROVIDERS[provider];
+ const output = options.maxTokens || _DEFAULT.maxTokens;
+ const room = info.contextWindow - output;
+ if (promptTokens(messages, config, options, (text) => Buffer.byteLength(text)) <= room) return;
+ const { tokens, method } = countLocalTokens(provider, model, messages, options);
+ // An estimate gets 10% of slack so it never blocks a prompt that would have fit
+ if ((method === 'estimate' ? tokens * 0.9 : tokens) <= room) return;
+ const message = `${model} has a ${info.contextWindow}-token context window, this request needs ${method === 'estimate' ? 'about ' : ''}${tokens} prompt tokens plus maxTokens ${output}`;
+ if (options.preflight === 'warn') console.warn(`Warning: ${message}`);
+ else throw new ContextLengthError(message, { provider, model });
+}
+
+// reasoning_tokens is what the provider reports, or an estimate from the reasoning text when it doesn't (Anthropic, <think> tags).
+// completion_tokens always includes reasoning, since it's billed as output everywhere, and prompt_tokens always
+// includes cache_read_tokens / cache_write_tokens, which calculateCost prices separately.
+function normalizeUsage(provider, usage, messages, responseText, reasoningText = '') {
+ const estimatedReasoning = estimateTextTokens(reasoningText);
  if (!usage) {
-  const promptChars = messages.reduce((sum, msg) => {
-   if (typeof msg.content === 'string') return sum + msg.content.length;
-   if (Array.isArray(msg.content)) {
-    return sum + msg.content.reduce((s, item) => {
-     if (item.type === 'text') return s + (item.text?.length || 0);
-     if (item.type === 'image' || item.type === 'image_url') return s + 1000;
-     return s;
-    }, 0);
-   }
-   return sum;
-  }, 0);
-  const completionChars = responseText?.length || 0;
+  const prompt = promptTokens(messages, AI_PROVIDERS[provider]);
+  const completion = estimateTextTokens(responseText || '') + estimatedReasoning;
   return {
-   prompt_tokens: Math.ceil(promptChars / 3.75),
-   completion_tokens: Math.ceil(completionChars / 3.75),
-   total_tokens: Math.ceil((promptChars + completionChars) / 3.75)
+   prompt_tokens: prompt,
+   completion_tokens: completion,
+   total_tokens: prompt + completion,
+   reasoning_tokens: estimatedReasoning,
+   cache_read_tokens: 0,
+   cache_write_tokens: 0
   };
  }
 
  if (provider === 'gemini' && usage.promptTokenCount !== undefined) {
+  // Thoughts are billed as output but not counted in candidatesTokenCount
+  const completion = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
   return {
    prompt_tokens: usage.promptTokenCount || 0,
-   completion_tokens: usage.candidatesTokenCount || 0,
-   total_tokens: (usage.promptTokenCount || 0) + (usage.candidatesTokenCount || 0)
+   completion_tokens: completion,
+   total_tokens: (usage.promptTokenCount || 0) + completion,
+   reasoning_tokens: usage.thoughtsTokenCount || 0,
+   cache_read_tokens: usage.cachedContentTokenCount || 0,
+   cache_write_tokens: 0
   };
  }
 
  if (provider === 'anthropic' && (usage.input_tokens !== undefined || usage.output_tokens !== undefined)) {
+  // input_tokens leaves out what was read from or written to the cache
+  const read = usage.cache_read_input_tokens || 0;
+  const write = usage.cache_creation_input_tokens || 0;
+  const prompt = (usage.input_tokens || 0) + read + write;
   return {
-   prompt_tokens: usage.input_tokens || 0,
+   prompt_tokens: prompt,
    completion_tokens: usage.output_tokens || 0,
-   total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+   total_tokens: prompt + (usage.output_tokens || 0),
+   reasoning_tokens: Math.min(estimatedReasoning, usage.output_tokens || 0),
+   cache_read_tokens: read,
+   cache_write_tokens: write
   };
  }
 
+ const prompt = usage.prompt_tokens || usage.input_tokens || 0;
+ let completion = usage.completion_tokens || usage.output_tokens || 0;
+ const reasoning = usage.completion_tokens_details?.reasoning_tokens ?? usage.output_tokens_details?.reasoning_tokens;
+ // xAI leaves reasoning out of completion_tokens and only counts it in total_tokens
+ if (reasoning && usage.total_tokens >= prompt + completion + reasoning) completion += reasoning;
  return {
-  prompt_tokens: usage.prompt_tokens || usage.input_tokens || 0,
-  completion_tokens: usage.completion_tokens || usage.output_tokens || 0,
-  total_tokens: usage.total_tokens || ((usage.prompt_tokens || usage.input_tokens || 0) + (usage.completion_tokens || usage.output_tokens || 0))
+  prompt_tokens: prompt,
+  completion_tokens: completion,
+  total_tokens: usage.total_tokens || prompt + completion,
+  reasoning_tokens: reasoning ?? Math.min(estimatedReasoning, completion),
+  // OpenAI and xAI cache long prompts automatically, DeepSeek reports its hits under its own name
+  cache_read_tokens: usage.prompt_tokens_details?.cached_tokens ?? usage.prompt_cache_hit_tokens ?? 0,
+  cache_write_tokens: 0
  };
 }
 
-async function makeRequest(url, data, headers, timeout = 480000) {
+function parseResponseBody(statusCode, body, headers) {
+ if (!body || body.trim() === '') {
+  throw Object.assign(new Error(`Empty response from API (status: ${statusCode})`), { status: statusCode, headers, retryable: true });
+ }
+ let parsed;
+ try {
+  parsed = JSON.parse(body);
+ } catch (e) {
+  throw Object.assign(new Error(`Failed to parse JSON response. Status: ${statusCode}, Body: ${body.substring(0, 200)}...`), { status: statusCode, headers });
+ }
+ if (statusCode >= 200 && statusCode < 300) return parsed;
+ const errorMsg = parsed.error?.message || parsed.message || body.substring(0, 200);
+ throw Object.assign(new Error(`API Error [${statusCode}]: ${errorMsg}`), { status: statusCode, headers, body: parsed });
+}
+
+// JSON in, JSON out. Strings and Buffers are sent as they are, no data means GET, raw resolves to the body text
+// Resolves to { data, headers, ttfb } where ttfb is the ms until the first byte of the response body
+function sendRequest(url, data, headers, timeout = 480000, signal, { method = data === undefined ? 'GET' : 'POST', raw = false } = {}) {
  return new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError(signal));
+  const startedAt = Date.now();
   const urlObj = new URL(url);
+  const transport = urlObj.protocol === 'http:' ? http : https;
+  const body = data === undefined ? '' : typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data);
   const options = {
    hostname: urlObj.hostname,
-   port: urlObj.port || 443,
+   port: urlObj.port || (transport === http ? 80 : 443),
    path: urlObj.pathname + urlObj.search,
-   method: 'POST',
-   headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(JSON.stringify(data)), ...headers },
+   method,
+   headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
    timeout
   };
-  const req = https.request(options, (res) => {
-   let body = '';
-   res.on('data', chunk => body += chunk);
+  const req = transport.request(options, (res) => {
+   let responseBody = '', ttfb;
+   res.on('data', chunk => {
+    ttfb ??= Date.now() - startedAt;
+    responseBody += chunk;
+   });
+   // A connection that dies mid-body never emits 'end', and ECONNRESET makes it retryable like a reset before the response
+   res.on('error', reject);
+   res.on('close', () => {
+    if (!res.complete) reject(connectionReset());
+   });
    res.on('end', () => {
-    if (!body || body.trim() === '') {
-     reject(new Error(`Empty response from API (status: ${res.statusCode})`));
-     return;
-    }
     try {
-     const parsed = JSON.parse(body);
-     if (res.statusCode >= 200 && res.statusCode < 300) resolve(parsed);
-     else {
-      const errorMsg = parsed.error?.message || parsed.message || body.substring(0, 200);
-      reject(new Error(`API Error [${res.statusCode}]: ${errorMsg}`));
-     }
+     if (raw && res.statusCode >= 200 && res.statusCode < 300) return resolve({ data: responseBody, headers: res.headers, ttfb });
+     resolve({ data: parseResponseBody(res.statusCode, responseBody, res.headers), headers: res.headers, ttfb });
     } catch (e) {
-     reject(new Error(`Failed to parse JSON response. Status: ${res.statusCode}, Body: ${body.substring(0, 200)}...`));
+     reject(e);
     }
    });
   });
+  const onAbort = () => {
+   req.destroy();
+   reject(abortError(signal));
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+  req.on('close', () => signal?.removeEventListener('abort', onAbort));
   req.on('error', reject);
   req.on('timeout', () => {
    req.destroy();
-   reject(new Error(`Request timeout after ${timeout}ms`));
+   reject(Object.assign(new Error(`Request timeout after ${timeout}ms`), { timeout: true }));
+  });
+  req.end(body);
+ });
+}
+
+function connectionReset() {
+ return Object.assign(new Error('Connection closed before the response ended'), { code: 'ECONNRESET' });
+}
+
+function retryAfterMs(headers) {
+ if (!headers) return null;
+ const ms = parseFloat(headers['retry-after-ms']);
+ if (!isNaN(ms)) return ms;
+ const value = headers['retry-after'];
+ if (!value) return null;
+ const seconds = Number(value);
+ if (!isNaN(seconds)) return seconds * 1000;
+ const date = Date.parse(value);
+ return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error, config) {
+ if (error instanceof AbortError) return false;
+ if (error.retryable !== undefined) return error.retryable;
+ if (error.status) return config.retryOn.includes(error.status);
+ return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Runs attemptFn until it succeeds or the error is not retryable; resolves to the attempt result plus `attempts`.
+// onRetry(error, { attempt, delay }) runs before each backoff wait and may return a different delay, an aborted signal cuts the wait short.
+async function withRetry(attemptFn, { retry, signal, onRetry } = {}) {
+ const config = retry === false ? { ..._DEFAULT.retry, maxAttempts: 1 } : { ..._DEFAULT.retry, ...retry };
+ for (let attempt = 1; ; attempt++) {
+  try {
+   return { ...await attemptFn(attempt), attempts: attempt };
+  } catch (e) {
+   e.attempts = attempt;
+   if (attempt >= config.maxAttempts || !isRetryable(e, config)) throw e;
+   let delay = retryAfterMs(e.headers);
+   if (delay === null) {
+    delay = Math.min(config.maxDelay, config.baseDelay * 2 ** (attempt - 1));
+    if (config.jitter) delay = delay / 2 + Math.random() * delay / 2;
+   }
+   if (onRetry) delay = (await onRetry(e, { attempt, delay })) ?? delay;
+   await sleep(delay, signal);
+  }
+ }
+}
+
+function sleep(ms, signal) {
+ return new Promise((resolve, reject) => {
+  const onAbort = () => {
+   clearTimeout(timer);
+   reject(abortError(signal));
+  };
+  const timer = setTimeout(() => {
+   signal?.removeEventListener('abort', onAbort);
+   resolve();
+  }, ms);
+  if (signal?.aborted) return onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+ });
+}
+
+// url can be a function, read again for every attempt
+async function makeRequest(url, data, headers, { timeout = 480000, method, raw, ...retryOptions } = {}) {
+ return withRetry(() => sendRequest(typeof url === 'function' ? url() : url, data, headers, timeout, retryOptions.signal, { method, raw }), retryOptions);
+}
+
+// Server-Sent Events reader: calls onEvent(json, eventName) for every `data:` payload until the stream ends
+function openStream(url, data, headers, onEvent, timeout = 480000, signal) {
+ return new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError(signal));
+  const startedAt = Date.now();
+  const urlObj = new URL(url);
+  const transport = urlObj.protocol === 'http:' ? http : https;
+  const body = JSON.stringify(data);
+  const options = {
+   hostname: urlObj.hostname,
+   port: urlObj.port || (transport === http ? 80 : 443),
+   path: urlObj.pathname + urlObj.search,
+   method: 'POST',
+   headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream', 'Content-Length': Buffer.byteLength(body), ...headers },
+   timeout
+  };
+  let settled = false;
+  const fail = (e) => {
+   if (settled) return;
+   settled = true;
+   req.destroy();
+   reject(e);
+  };
+  const onAbort = () => fail(abortError(signal));
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const req = transport.request(options, (res) => {
+   res.setEncoding('utf8');
+   // The socket timeout can't fire once the connection is gone, so a stream cut short has to be failed here
+   res.on('error', fail);
+   res.on('close', () => fail(connectionReset()));
+   if (res.statusCode < 200 || res.statusCode >= 300) {
+    let errorBody = '';
+    res.on('data', chunk => errorBody += chunk);
+    res.on('end', () => {
+     try {
+      parseResponseBody(res.statusCode, errorBody, res.headers);
+     } catch (e) {
+      fail(e);
+     }
+    });
+    return;
+   }
+   let buffer = '', eventName = '', dataLines = [], ttfb;
+   const dispatch = () => {
+    if (!dataLines.length) { eventName = ''; return; }
+    const payload = dataLines.join('\n');
+    const name = eventName;
+    eventName = '';
+    dataLines = [];
+    if (payload === '[DONE]') return;
+    let parsed;
+    try {
+     parsed = JSON.parse(payload);
+    } catch (e) {
+     throw new Error(`Failed to parse stream event: ${payload.substring(0, 200)}`);
+    }
+    onEvent(parsed, name);
+   };
+   const processLine = (line) => {
+    if (line === '') return dispatch();
+    if (line.startsWith(':')) return;
+    const idx = line.indexOf(':');
+    const field = idx === -1 ? line : line.slice(0, idx);
+    const value = idx === -1 ? '' : line.slice(idx + 1).replace(/^ /, '');
+    if (field === 'event') eventName = value;
+    else if (field === 'data') dataLines.push(value);
+   };
+   res.on('data', chunk => {
+    if (settled) return;
+    ttfb ??= Date.now() - startedAt;
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    try {
+     for (const line of lines) processLine(line);
+    } catch (e) {
+     fail(e);
+    }
+   });
+   res.on('end', () => {
+    if (settled) return;
+    try {
+     if (buffer) processLine(buffer);
+     dispatch();
+    } catch (e) {
+     return fail(e);
+    }
+    settled = true;
+    resolve({ headers: res.headers, ttfb });
+   });
   });
-  req.write(JSON.stringify(data));
+  req.on('close', () => signal?.removeEventListener('abort', onAbort));
+  req.on('error', fail);
+  req.on('timeout', () => fail(Object.assign(new Error(`Request timeout after ${timeout}ms`), { timeout: true })));
+  req.write(body);
   req.end();
  });
 }
 
-export async function callAI(...args) {
+// A stream is only retried while nothing has been delivered, otherwise the caller would see duplicated tokens
+async function makeStreamRequest(url, data, headers, onEvent, { timeout = 480000, ...retryOptions } = {}) {
+ let started = false;
+ return withRetry(async () => {
+  try {
+   return await openStream(typeof url === 'function' ? url() : url, data, headers, (event, name) => {
+    started = true;
+    onEvent(event, name);
+   }, timeout, retryOptions.signal);
+  } catch (e) {
+   if (started) e.retryable = false;
+   throw e;
+  }
+ }, retryOptions);
+}
+
+function resolveArgs(args) {
  let provider, model, messages, options = {};
  if (args.length === 4) [provider, model, messages, options = {}] = args;
  else if (args.length === 3) {
@@ -633,67 +2230,1393 @@ export async function callAI(...args) {
   provider = findProviderForModel(model);
   if (!provider) throw new Error(`Unknown model: ${model}. Available: ${Object.entries(AI_PROVIDERS).flatMap(([p, c]) => Object.keys(c.models)).join(', ')}`);
  } else throw new Error('Invalid arguments. Use: callAI(model, messages, options?) or callAI(provider, model, messages, options?)');
+ return { provider, model, messages, options };
+}
 
+export async function callAI(...args) {
  if (!customModelsLoaded) await loadCustomModels();
 
+ const chain = resolveChain(args[0]);
+ if (chain) return callWithFallback(chain, args[1], args[2] || {});
+
+ let { provider, model, messages, options } = resolveArgs(args);
+
  messages = messages.map(msg => ({ ...msg, content: Array.isArray(msg.content) ? normalizeContent(msg.content) : msg.content }));
+ if (options.tools) options = { ...options, tools: options.tools.map(normalizeTool) };
+
+ const info = getModelInfo(model, provider);
+ if (info) {
+  if (isVisionRequest(messages) && !info.vision) {
+   throw new Error(`Model ${model} doesn't support images. Use one of: ${findModels({ vision: true }).map(m => m.alias).join(', ')}`);
+  }
+  if (options.tools?.length && !info.tools) {
+   throw new Error(`Model ${model} doesn't support tool calling. Use one of: ${findModels({ tools: true }).map(m => m.alias).join(', ')}`);
+  }
+  if (AI_PROVIDERS[provider].adapter === 'anthropic' && getThinkingConfig('anthropic', info, options.think) && (options.toolChoice === 'required' || options.toolChoice?.name)) {
+   throw new Error(`${model} can't be forced to use a tool while thinking. Use toolChoice: 'auto' or turn think off`);
+  }
+  if (options.maxTokens && info.maxOutput && options.maxTokens > info.maxOutput) {
+   throw new Error(`maxTokens ${options.maxTokens} exceeds the ${info.maxOutput} output tokens ${model} can produce`);
+  }
+  validateGenerationOptions(model, options, info);
+ }
+ messages = adaptFileParts(messages, info);
+ if (isVisionRequest(messages)) messages = await prepareImages(messages, provider, model, options);
+ if (info && options.preflight !== false) preflightContext(provider, model, messages, options, info);
+
+ if (options.schema) return callStructured(provider, model, messages, options);
+ if (options.autoContinue) return callWithContinuation(provider, model, messages, options);
+ return executeCall(provider, model, messages, options);
+}
+
+// Adds the provider's credentials to headers (mutated) or the URL (returned), replacing the ones already there
+function authorize(config, apiKey, url, headers) {
+ if (config.auth === 'bearer') headers['Authorization'] = `Bearer ${apiKey}`;
+ else if (config.auth === 'header') headers[config.authHeader || 'x-api-key'] = apiKey;
+ else if (config.auth === 'query') {
+  const authorized = new URL(url);
+  authorized.searchParams.set(config.authParam || 'key', apiKey);
+  return authorized.toString();
+ }
+ return url;
+}
+
+const GEMINI_CACHES = new Map();
+// A prefix Gemini refused to cache (below its minimum size) is sent uncached without asking again for this long
+const GEMINI_CACHE_REJECTED_MS = 3600000;
+
+// Expired entries are dropped whenever a new one comes in, so a long-running process doesn't pile them up
+function rememberGeminiCache(key, entry) {
+ const now = Date.now();
+ for (const [cachedKey, cached] of GEMINI_CACHES) {
+  if (cached.expiresAt <= now) GEMINI_CACHES.delete(cachedKey);
+ }
+ GEMINI_CACHES.set(key, entry);
+}
+
+// Gemini caches a prefix as its own cachedContents resource: the system prompt and tools plus everything up to the
+// last `cache: true` message are uploaded once, later calls with the same prefix only send the rest and reference it.
+// Prefixes below Gemini's minimum cache size are sent the normal way.
+async function prepareGeminiCache(config, apiKey, modelName, messages, options, info) {
+ const conversation = messages.filter(msg => msg.role !== 'system');
+ // The last message is the new turn and never part of the cache
+ const cut = conversation.slice(0, -1).findLastIndex(msg => msg.cache) + 1;
+ const prefix = [...messages.filter(msg => msg.role === 'system'), ...conversation.slice(0, cut)];
+ const formatted = config.formatPayload(prefix, modelName, undefined, options, info);
+ const system = prefix.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n');
+ if (!cut && !system && !formatted.tools) return { messages, options, cacheWriteTokens: 0 };
+ const body = {
+  model: `models/${modelName}`,
+  // Without conversation messages formatPayload turns the system prompt into a user turn
+  contents: cut ? formatted.contents : [],
+  systemInstruction: cut ? formatted.system_instruction : system ? { parts: [{ text: system }] } : undefined,
+  tools: formatted.tools,
+  toolConfig: formatted.toolConfig
+ };
+ const key = crypto.createHash('sha256').update(stableStringify({ baseUrl: config.baseUrl, apiKey, body })).digest('hex');
+ let cached = GEMINI_CACHES.get(key), cacheWriteTokens = 0;
+ if (cached?.rejected && cached.expiresAt > Date.now()) return { messages, options, cacheWriteTokens };
+ if (!cached || cached.rejected || cached.expiresAt - Date.now() < 10000) {
+  const ttl = options.promptCache?.ttl || 300;
+  const headers = { ...config.headers };
+  const url = authorize(config, apiKey, config.baseUrl.replace(/\/models$/, '/cachedContents'), headers);
+  try {
+   const { data } = await makeRequest(url, { ...body, ttl: `${ttl}s` }, headers, { timeout: options.timeout || 480000, retry: options.retry, signal: options.signal });
+   cached = { name: data.name, expiresAt: data.expireTime ? Date.parse(data.expireTime) : Date.now() + ttl * 1000 };
+   cacheWriteTokens = data.usageMetadata?.totalTokenCount || 0;
+   rememberGeminiCache(key, cached);
+  } catch (e) {
+   if (e.status === 400) {
+    rememberGeminiCache(key, { rejected: true, expiresAt: Date.now() + GEMINI_CACHE_REJECTED_MS });
+    return { messages, options, cacheWriteTokens };
+   }
+   throw e;
+  }
+ }
+ return { messages: conversation.slice(cut), options: { ...options, cachedContent: cached.name }, cacheWriteTokens };
+}
 
- if (isVisionRequest(messages) && !supportsVision(provider, model)) {
-  const visionModels = [];
-  for (const [p, models] of Object.entries(VISION_MODELS)) {
-   if (models === 'all') visionModels.push(`all ${p} models`);
-   else if (Array.isArray(models) && models.length > 0) visionModels.push(...models);
+// One request against one provider/model, messages are already normalized
+async function executeCall(provider, model, messages, options) {
+ const config = providerConfig(provider, options);
+ if (!config) throw new Error(`Unknown provider: ${provider}`);
+
+ const modelConfig = config.models[model];
+ if (!modelConfig) throw new Error(`Unknown model: ${model} for provider: ${provider}`);
+
+ const cacheMode = options.cacheStore ? options.cache || 'use' : 'bypass';
+ const cacheKey = cacheMode === 'bypass' ? null : responseCacheKey(provider, modelConfig.name, messages, options);
+ if (cacheMode === 'use' || cacheMode === 'only') {
+  const cached = await options.cacheStore.get(cacheKey);
+  if (cached) {
+   if (options.stream && options.onToken && cached.text) options.onToken({ type: 'text', text: cached.text });
+   return { ...cached, model, cost: { in: 0, out: 0, total: 0 }, attempts: 0, cached: true };
   }
-  throw new Error(`Model ${model} doesn't support images. Use one of: ${visionModels.join(', ')}`);
+  if (cacheMode === 'only') throw new CacheMissError(`No cached response for ${model} (cache: 'only')`, cacheKey);
  }
 
+ const ctx = { provider, alias: model, model: modelConfig.name, messages, options, timings: { start: Date.now() } };
+ let releaseBudget = null, apiKey;
  try {
-  const config = AI_PROVIDERS[provider];
-  if (!config) throw new Error(`Unknown provider: ${provider}`);
-  
-  if (!config.apiKey) {
-   throw new Error(`Missing API key for ${provider}. Set ${provider === 'openai' ? 'OPENAI_API_KEY' : provider === 'mistral' ? 'MISTRAL_API_KEY' : provider === 'gemini' ? 'GEMINI_API_KEY' : provider === 'grok' ? 'XAI_API_KEY' : provider === 'anthropic' ? 'ANTHROPIC_API_KEY' : 'TOGETHER_API_KEY'} in .env`);
+  apiKey = await acquireKey(provider, model, config, options);
+
+  if (options.budget) {
+   // Worst case: the whole prompt plus every allowed output token
+   const promptTokens = normalizeUsage(config.adapter, null, messages, '').prompt_tokens;
+   const estimate = calculateCost(modelConfig, { prompt_tokens: promptTokens, completion_tokens: options.maxTokens || _DEFAULT.maxTokens }).total;
+   releaseBudget = options.budget.reserve(model, estimate);
   }
+
+  let cacheWriteTokens = 0;
+  if (config.adapter === 'gemini' && (options.promptCache || messages.some(msg => msg.cache))) {
+   ({ messages, options, cacheWriteTokens } = await prepareGeminiCache(config, apiKey, modelConfig.name, messages, options, getModelInfo(model, provider)));
+  }
+
+  ctx.payload = mergeProviderOptions(config.formatPayload(messages, modelConfig.name, options.maxTokens, options, getModelInfo(model, provider)), options.providerOptions);
+  ctx.headers = { ...config.headers };
+  ctx.url = authorize(config, apiKey, config.requestUrl ? config.requestUrl(config.baseUrl, modelConfig.name, options) : config.baseUrl, ctx.headers);
+
+  await runHooks('beforeRequest', ctx.payload, ctx);
+  ctx.timings.request = Date.now();
   
-  const modelConfig = config.models[model];
-  if (!modelConfig) throw new Error(`Unknown model: ${model} for provider: ${provider}`);
-  
-  const payload = config.formatPayload(messages, modelConfig.name, options.maxTokens, options);
-  let apiUrl = config.baseUrl;
-  const headers = {};
-  
-  if (provider === 'anthropic') {
-   headers['x-api-key'] = config.apiKey;
-   headers['anthropic-version'] = '2023-06-01';
-  } else if (provider === 'gemini') {
-   apiUrl = `${config.baseUrl}/${modelConfig.name}:generateContent?key=${config.apiKey}`;
+  let text = '', reasoning = '', rawUsage, toolCalls = [], thinkingBlocks = [], logprobs, candidates, finishReason, responseId, safetyRatings, attempts, ttfb, raw, responseHeaders;
+  const requestOptions = {
+   timeout: options.timeout || 480000,
+   retry: options.retry,
+   signal: options.signal,
+   onRetry: async (error, { attempt, delay }) => {
+    noteRateLimit(options, provider, apiKey, error);
+    // A client with more keys retries a 429 on the next one, right away when that key is free. Gemini's cachedContents
+    // belong to the key that created them, so those requests stay put.
+    const pool = error.status === 429 && !options.cachedContent && options.client?.keys[provider];
+    const nextKey = pool ? await acquireKey(provider, model, config, options) : apiKey;
+    if (nextKey !== apiKey) {
+     apiKey = nextKey;
+     ctx.url = authorize(config, apiKey, ctx.url, ctx.headers);
+     if (pool.ready(apiKey)) delay = 0;
+    }
+    await runHooks('onRetry', error, { ...ctx, attempt, delay });
+    return delay;
+   }
+  };
+  if (options.stream) {
+   const streamState = { toolCallCount: 0 };
+   const toolCallParts = [];
+   const thinkTags = config.adapter === 'openai' ? createThinkTagSplitter() : null;
+   const emit = (delta) => {
+    reasoning += delta.reasoning || '';
+    if (!delta.text) return;
+    text += delta.text;
+    if (options.onToken) options.onToken({ type: 'text', text: delta.text });
+   };
+   raw = [];
+   ({ attempts, ttfb, headers: responseHeaders } = await makeStreamRequest(() => ctx.url, ctx.payload, ctx.headers, (event) => {
+    raw.push(event);
+    const delta = config.parseStreamEvent(event, streamState);
+    if (delta.usage) rawUsage = { ...rawUsage, ...delta.usage };
+    if (delta.finishReason) finishReason = delta.finishReason;
+    if (delta.safetyRatings) safetyRatings = delta.safetyRatings;
+    responseId ??= delta.id;
+    for (const part of delta.toolCalls || []) {
+     const call = toolCallParts[part.index] || (toolCallParts[part.index] = { id: '', name: '', arguments: '' });
+     if (part.id) call.id = part.id;
+     if (part.name) call.name = part.name;
+     if (part.arguments) call.arguments += part.arguments;
+    }
+    for (const { index, thinking, ...part } of delta.thinkingBlocks || []) {
+     const block = thinkingBlocks[index] || (thinkingBlocks[index] = {});
+     Object.assign(block, part);
+     if (thinking) block.thinking = (block.thinking || '') + thinking;
+    }
+    if (!thinkTags) return emit(delta);
+    const split = thinkTags.push(delta.text || '');
+    emit({ text: split.text, reasoning: (delta.reasoning || '') + split.reasoning });
+   }, requestOptions));
+   if (thinkTags) emit(thinkTags.flush());
+   toolCalls = toolCallParts.filter(Boolean).map(call => ({ ...call, arguments: parseToolArguments(call.arguments) }));
+   thinkingBlocks = thinkingBlocks.filter(Boolean);
   } else {
-   headers['Authorization'] = `Bearer ${config.apiKey}`;
+   const { data: response, headers, attempts: requestAttempts, ttfb: requestTtfb } = await makeRequest(() => ctx.url, ctx.payload, ctx.headers, requestOptions);
+   responseHeaders = headers;
+   raw = response;
+   attempts = requestAttempts;
+   ttfb = requestTtfb;
+   finishReason = config.extractFinishReason?.(response);
+   responseId = response.id ?? response.responseId;
+   if (config.adapter === 'gemini') safetyRatings = response.candidates?.[0]?.safetyRatings;
+   text = config.extractResponse(response);
+   reasoning = config.extractReasoning?.(response) || '';
+   if (config.adapter === 'openai' && !reasoning) ({ text, reasoning } = splitThinkTags(text));
+   toolCalls = config.extractToolCalls(response);
+   thinkingBlocks = config.extractThinkingBlocks?.(response) || [];
+   if (options.logprobs) logprobs = config.extractLogprobs?.(response);
+   if (options.n > 1) candidates = config.extractCandidates?.(response);
+   rawUsage = config.adapter === 'gemini' ? response.usageMetadata : response.usage;
   }
-  
-  const response = await makeRequest(apiUrl, payload, headers, options.timeout || 480000);
-  const text = config.extractResponse(response);
-  const rawUsage = provider === 'gemini' ? response.usageMetadata : response.usage;
-  const normalizedUsage = normalizeUsage(provider, rawUsage, messages, text);
-  
-  const cost = {
-   in: parseFloat(((normalizedUsage.prompt_tokens / 1_000_000) * modelConfig.cost.in).toFixed(6)),
-   out: parseFloat(((normalizedUsage.completion_tokens / 1_000_000) * modelConfig.cost.out).toFixed(6)),
-   total: 0
+  reasoning = reasoning.trim();
+  const normalizedUsage = normalizeUsage(config.adapter, rawUsage, messages, text, reasoning);
+  if (cacheWriteTokens) {
+   normalizedUsage.prompt_tokens += cacheWriteTokens;
+   normalizedUsage.total_tokens += cacheWriteTokens;
+   normalizedUsage.cache_write_tokens += cacheWriteTokens;
+  }
+  const cost = calculateCost(modelConfig, normalizedUsage);
+  if (options.budget) options.budget.record({ model, provider, usage: normalizedUsage, cost, tags: options.tags });
+
+  ctx.timings.end = Date.now();
+  ctx.timings.duration = ctx.timings.end - ctx.timings.start;
+  const result = {
+   text,
+   reasoning,
+   toolCalls,
+   finishReason: normalizeFinishReason(finishReason, toolCalls),
+   usage: normalizedUsage,
+   model,
+   modelName: modelConfig.name,
+   cost,
+   attempts,
+   // Request sent to last byte received (retries included), and to the first byte of the answer
+   latency: ctx.timings.end - ctx.timings.request,
+   ttfb
   };
-  cost.total = parseFloat((cost.in + cost.out).toFixed(6));
+  if (responseId) result.id = responseId;
+  const requestId = requestIdFrom(responseHeaders);
+  if (requestId) result.requestId = requestId;
+  if (safetyRatings) result.safetyRatings = safetyRatings;
+  if (thinkingBlocks.length) result.thinkingBlocks = thinkingBlocks;
+  if (logprobs) result.logprobs = logprobs;
+  if (candidates) result.candidates = candidates;
+  const rateLimit = rateLimitFrom(responseHeaders);
+  if (rateLimit) result.rateLimit = rateLimit;
+  if (options.raw) result.raw = raw;
+  Object.assign(ctx, { usage: normalizedUsage, cost, attempts, result });
+  await runHooks('afterResponse', raw, ctx);
+  if (cacheKey) {
+   const { model: _model, cost: _cost, attempts: _attempts, rateLimit: _rateLimit, latency: _latency, ttfb: _ttfb, requestId: _requestId, raw: _raw, ...cacheable } = result;
+   await options.cacheStore.set(cacheKey, cacheable);
+   result.cached = false;
+  }
   
-  return { text, usage: normalizedUsage, model, cost };
+  return result;
   
  } catch (error) {
-  if (error.message.includes('401')) throw new Error(`Authentication failed for ${provider}. Check your API key.`);
-  if (error.message.includes('429')) throw new Error(`Rate limit exceeded for ${provider}. Try again later.`);
-  if (error.message.includes('402')) throw new Error(`Payment required for ${provider}. Check account balance.`);
-  if (provider === 'anthropic' && error.message.includes('invalid_api_key')) {
-   throw new Error('Invalid Anthropic API key. Check if it starts with sk-ant-api03-');
+  noteRateLimit(options, provider, apiKey, error);
+  const providerError = toProviderError(error, provider, model, config.mapError);
+  ctx.timings.end = Date.now();
+  ctx.timings.duration = ctx.timings.end - ctx.timings.start;
+  await runHooks('onError', providerError, ctx);
+  throw providerError;
+ } finally {
+  if (releaseBudget) releaseBudget();
+ }
+}
+
+const MIDDLEWARE = [];
+
+// Registers lifecycle hooks run around every provider request (cache hits never reach them):
+//  beforeRequest(payload, ctx) - after formatPayload; mutate payload, ctx.headers or ctx.url
+//  afterResponse(raw, ctx)     - raw body (array of events when streaming); ctx.result is what callAI returns
+//  onError(error, ctx)         - the typed error about to be thrown
+//  onRetry(error, ctx)         - before a backoff wait; ctx.attempt failed, ctx.delay ms until the next one
+// ctx carries provider, alias, model (provider's model name), messages, options, timings, and usage/cost once known.
+// Returns a function that removes the middleware again.
+export function use(middleware) {
+ MIDDLEWARE.push(middleware);
+ return () => {
+  const index = MIDDLEWARE.indexOf(middleware);
+  if (index !== -1) MIDDLEWARE.splice(index, 1);
+ };
+}
+
+async function runHooks(name, ...args) {
+ for (const middleware of MIDDLEWARE) {
+  if (middleware[name]) await middleware[name](...args);
+ }
+}
+
+// Options that change how a request is sent or accounted for, not what the model answers
+const CACHE_IGNORED_OPTIONS = ['stream', 'onToken', 'timeout', 'signal', 'retry', 'promptCache', 'budget', 'tags', 'cache', 'cacheStore', 'schemaRetries', 'maxRounds', 'raw', 'preflight', 'client'];
+
+function stableStringify(value) {
+ if (Array.isArray(value)) return `[${value.map(item => stableStringify(item) ?? 'null').join(',')}]`;
+ if (value && typeof value === 'object') {
+  const entries = Object.keys(value).sort().map(key => [key, stableStringify(value[key])]).filter(([, v]) => v !== undefined);
+  return `{${entries.map(([key, v]) => `${JSON.stringify(key)}:${v}`).join(',')}}`;
+ }
+ if (typeof value === 'function') return undefined;
+ return JSON.stringify(value);
+}
+
+function responseCacheKey(provider, modelName, messages, options) {
+ const generation = Object.fromEntries(Object.entries(options).filter(([key]) => !CACHE_IGNORED_OPTIONS.includes(key)));
+ return crypto.createHash('sha256').update(stableStringify({ provider, model: modelName, messages, options: generation })).digest('hex');
+}
+
+export class CacheMissError extends Error {
+ constructor(message, key) {
+  super(message);
+  this.name = 'CacheMissError';
+  this.key = key;
+ }
+}
+
+// Response cache for options.cacheStore: an in-memory LRU or one JSON file per key on disk.
+// Any object with async get(key) / set(key, value) works as a store too.
+export function createCache({ backend = 'memory', dir = path.resolve(process.cwd(), '.callai-cache'), maxEntries = 1000, ttl = 0 } = {}) {
+ const expired = (entry) => ttl > 0 && Date.now() - entry.storedAt > ttl;
+
+ if (backend === 'disk') {
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+  return {
+   async get(key) {
+    let entry;
+    try {
+     entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+    } catch (e) {
+     return undefined;
+    }
+    if (expired(entry)) {
+     await fs.promises.rm(fileFor(key), { force: true });
+     return undefined;
+    }
+    return entry.value;
+   },
+   async set(key, value) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(fileFor(key), JSON.stringify({ storedAt: Date.now(), value }));
+   },
+   async delete(key) {
+    await fs.promises.rm(fileFor(key), { force: true });
+   },
+   async clear() {
+    const files = await fs.promises.readdir(dir).catch(() => []);
+    await Promise.all(files.filter(f => f.endsWith('.json')).map(f => fs.promises.rm(path.join(dir, f), { force: true })));
+   }
+  };
+ }
+
+ if (backend !== 'memory') throw new Error(`Unknown cache backend: ${backend}. Use 'memory' or 'disk'`);
+ const entries = new Map();
+ return {
+  async get(key) {
+   const entry = entries.get(key);
+   if (!entry) return undefined;
+   entries.delete(key);
+   if (expired(entry)) return undefined;
+   entries.set(key, entry);
+   return entry.value;
+  },
+  async set(key, value) {
+   entries.delete(key);
+   entries.set(key, { storedAt: Date.now(), value });
+   while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  },
+  async delete(key) {
+   entries.delete(key);
+  },
+  async clear() {
+   entries.clear();
+  },
+  get size() {
+   return entries.size;
   }
-  throw new Error(`${provider} API call failed: ${error.message}`);
+ };
+}
+
+// Cache reads are priced at cost.cachedIn and writes at cost.cacheWrite, both falling back to cost.in
+function calculateCost(modelConfig, usage) {
+ const price = modelConfig.cost || MODEL_DEFAULTS.cost;
+ const read = usage.cache_read_tokens || 0;
+ const write = usage.cache_write_tokens || 0;
+ const uncached = Math.max(0, usage.prompt_tokens - read - write);
+ const cost = {
+  in: parseFloat(((uncached * price.in + read * (price.cachedIn ?? price.in) + write * (price.cacheWrite ?? price.in)) / 1_000_000).toFixed(6)),
+  out: parseFloat(((usage.completion_tokens / 1_000_000) * (price.out || 0)).toFixed(6)),
+  total: 0
+ };
+ cost.total = parseFloat((cost.in + cost.out).toFixed(6));
+ return cost;
+}
+
+// "6m0s", "1.5s", "20ms" (OpenAI style), an RFC 3339 date (Anthropic) or plain seconds, as ms from now
+function resetMs(value) {
+ if (value === undefined || value === '') return undefined;
+ if (/^\d{4}-\d{2}-\d{2}T/.test(value)) return Math.max(0, Date.parse(value) - Date.now());
+ const match = String(value).match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:([\d.]+)s)?(?:(\d+)ms)?$/);
+ if (match) return ((Number(match[1]) || 0) * 3600 + (Number(match[2]) || 0) * 60 + (Number(match[3]) || 0)) * 1000 + (Number(match[4]) || 0);
+ const seconds = Number(value);
+ return isNaN(seconds) ? undefined : seconds * 1000;
+}
+
+// Remaining quota from x-ratelimit-* (OpenAI, xAI, Together, Groq...) or anthropic-ratelimit-* headers
+function rateLimitFrom(headers) {
+ if (!headers) return undefined;
+ const pick = (...names) => names.map(name => headers[name]).find(value => value !== undefined);
+ const requestsRemaining = pick('x-ratelimit-remaining-requests', 'anthropic-ratelimit-requests-remaining');
+ const tokensRemaining = pick('x-ratelimit-remaining-tokens', 'anthropic-ratelimit-tokens-remaining');
+ if (requestsRemaining === undefined && tokensRemaining === undefined) return undefined;
+ return {
+  requestsRemaining: requestsRemaining === undefined ? undefined : Number(requestsRemaining),
+  tokensRemaining: tokensRemaining === undefined ? undefined : Number(tokensRemaining),
+  requestsReset: resetMs(pick('x-ratelimit-reset-requests', 'anthropic-ratelimit-requests-reset')),
+  tokensReset: resetMs(pick('x-ratelimit-reset-tokens', 'anthropic-ratelimit-tokens-reset'))
+ };
+}
+
+function requestIdFrom(headers) {
+ if (!headers) return undefined;
+ return headers['x-request-id'] || headers['request-id'] || headers['x-goog-request-id'] || undefined;
+}
+
+// Budget refusals never reached the provider, so they're thrown as they are
+function toProviderError(error, provider, model, mapError) {
+ if (error instanceof BudgetExceededError) return error;
+ if (error instanceof ProviderError || error instanceof AbortError) {
+  error.provider ??= provider;
+  error.model ??= model;
+  return error;
+ }
+ const details = {
+  status: error.status,
+  provider,
+  model,
+  requestId: requestIdFrom(error.headers),
+  retryAfter: retryAfterMs(error.headers) ?? undefined,
+  error: error.body?.error ?? error.body,
+  attempts: error.attempts,
+  cause: error
+ };
+ if (error.timeout) return new TimeoutError(`${provider} request timed out: ${error.message}`, details);
+ const ErrorClass = error.status || error.body ? mapError(error.status, error.body) : ProviderError;
+ if (ErrorClass === AuthError) {
+  const hint = provider === 'anthropic' ? ' Check if it starts with sk-ant-api03-' : '';
+  return new AuthError(`Authentication failed for ${provider}. Check your API key.${hint}`, details);
+ }
+ if (ErrorClass === RateLimitError) return new RateLimitError(`Rate limit exceeded for ${provider}. Try again later.`, details);
+ if (ErrorClass === QuotaError) return new QuotaError(`Payment required for ${provider}. Check account balance.`, details);
+ if (ErrorClass === ContextLengthError) return new ContextLengthError(`Request is too long for ${model}: ${error.message}`, details);
+ if (ErrorClass === ContentFilterError) return new ContentFilterError(`Content blocked by ${provider}: ${error.message}`, details);
+ return new ProviderError(`${provider} API call failed: ${error.message}`, details);
+}
+
+const CONTINUE_PROMPT = 'Continue exactly where your previous message stopped, mid-word or mid-line if needed. Do not repeat anything you already wrote and do not add any introduction.';
+// Only the start of a continuation is compared with what came before, so a stream can be stitched before it ends
+const CONTINUE_OVERLAP = 500;
+
+// Joins a continuation to the text so far. prefill: Claude resumed after text.trimEnd() and may re-emit the
+// stripped whitespace. Otherwise the model was asked to continue and sometimes repeats the tail it already
+// wrote or reopens the code fence it was in.
+function stitchContinuation(text, next, prefill) {
+ if (prefill) {
+  const resumed = text.trimEnd() + next;
+  return resumed.startsWith(text) ? resumed : text + next;
+ }
+ const insideFence = (text.match(/^\s*```/gm) || []).length % 2 === 1;
+ if (insideFence) next = next.replace(/^\s*```[\w+-]*[ \t]*\n/, '');
+ const head = next.slice(0, CONTINUE_OVERLAP);
+ for (let size = Math.min(text.length, head.length); size > 0; size--) {
+  const overlap = head.slice(0, size);
+  if (!text.endsWith(overlap)) continue;
+  // A short repeat only counts as whole words on both ends, so a stray 'a' or 'the' isn't swallowed by chance
+  if (size > 10 || (/\S/.test(overlap) && /(^|\s)$/.test(text.slice(0, -size)) && /^([^\p{L}\p{N}_]|$)/u.test(next.slice(size)))) return text + next.slice(size);
+ }
+ return text + next;
+}
+
+// options.autoContinue (rounds, true = 3): while the answer stops at maxTokens, sends it back and asks for the rest.
+// Claude gets the partial answer as an assistant prefill (not while thinking, which forbids it), others a continuation prompt.
+async function callWithContinuation(provider, model, messages, options) {
+ const { autoContinue, ...callOptions } = options;
+ const maxRounds = autoContinue === true ? 3 : autoContinue;
+ const prefill = AI_PROVIDERS[provider].adapter === 'anthropic' && !callOptions.think;
+ let response = await executeCall(provider, model, messages, callOptions);
+ let { text, reasoning, usage, cost, attempts, latency } = response;
+ const { ttfb } = response;
+ let rounds = 0;
+ while (response.finishReason === 'length' && !response.toolCalls.length && rounds < maxRounds) {
+  rounds++;
+  const history = prefill
+   ? [...messages, { role: 'assistant', content: text.trimEnd() }]
+   : [...messages, { role: 'assistant', content: text }, { role: 'user', content: CONTINUE_PROMPT }];
+  // Streamed continuations are held back until it's clear how much of their start overlaps the text so far
+  let pending = '', flushed = !callOptions.onToken;
+  const flush = () => {
+   if (flushed) return;
+   flushed = true;
+   const added = stitchContinuation(text, pending, prefill).slice(text.length);
+   if (added) callOptions.onToken({ type: 'text', text: added });
+  };
+  const onToken = callOptions.onToken && ((delta) => {
+   if (flushed || delta.type !== 'text') return callOptions.onToken(delta);
+   pending += delta.text;
+   if (pending.length >= CONTINUE_OVERLAP) flush();
+  });
+  response = await executeCall(provider, model, history, { ...callOptions, onToken });
+  flush();
+  text = stitchContinuation(text, response.text, prefill);
+  if (response.reasoning) reasoning = reasoning ? `${reasoning}\n${response.reasoning}` : response.reasoning;
+  usage = addUsage(usage, response.usage);
+  cost = addCost(cost, response.cost);
+  attempts += response.attempts;
+  latency = (latency || 0) + (response.latency || 0);
+ }
+ return { ...response, text, reasoning, usage, cost, attempts, latency, ttfb, continuations: rounds };
+}
+
+// Retries with the validation errors fed back to the model until the output matches options.schema
+async function callStructured(provider, model, messages, options) {
+ const { schemaRetries = 2, ...callOptions } = options;
+ const history = [...messages];
+ let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+ let cost = { in: 0, out: 0, total: 0 };
+ let errors = [];
+ for (let attempt = 1; attempt <= schemaRetries + 1; attempt++) {
+  const response = await executeCall(provider, model, history, callOptions);
+  usage = addUsage(usage, response.usage);
+  cost = addCost(cost, response.cost);
+
+  const schemaCall = response.toolCalls.find(tc => tc.name === SCHEMA_TOOL_NAME);
+  const text = schemaCall ? JSON.stringify(schemaCall.arguments) : response.text;
+  const parsed = parseJSONResponse(text);
+  errors = parsed.error ? [parsed.error] : validateSchema(parsed.value, options.schema);
+  if (!errors.length) {
+   const toolCalls = response.toolCalls.filter(tc => tc !== schemaCall);
+   // The schema tool call is the answer itself, not a call for the caller to run
+   const finishReason = schemaCall && response.finishReason === 'tool_calls' ? 'stop' : response.finishReason;
+   return { ...response, text, toolCalls, finishReason, data: parsed.value, usage, cost, schemaAttempts: attempt };
+  }
+  if (attempt > schemaRetries) throw new SchemaValidationError(errors, text, attempt);
+
+  history.push({ role: 'assistant', content: text });
+  history.push({ role: 'user', content: `Your previous response did not match the required JSON Schema:\n${errors.map(e => `- ${e}`).join('\n')}\nReply again with only the corrected JSON.` });
+ }
+}
+
+// An array of aliases, or the name of a route from `_ROUTES` in _models.js
+function resolveChain(first) {
+ if (Array.isArray(first)) return first;
+ if (typeof first === 'string' && ROUTES[first] && !findProviderForModel(first)) return ROUTES[first];
+ return null;
+}
+
+// Failures another provider might not have: overload, 5xx, rate limits, timeouts and network errors
+function isFallbackError(error) {
+ if (error instanceof TimeoutError || error instanceof RateLimitError) return true;
+ if (!(error instanceof ProviderError)) return false;
+ if (RETRYABLE_NETWORK_CODES.includes(error.cause?.code) || error.error?.type === 'overloaded_error') return true;
+ return error.status === 408 || error.status >= 500;
+}
+
+async function callWithFallback(models, messages, options) {
+ if (!models.length) throw new Error('Fallback chain is empty');
+ const failures = [];
+ let lastError;
+ const hasImages = isVisionRequest(messages.map(msg => ({ ...msg, content: Array.isArray(msg.content) ? normalizeContent(msg.content) : msg.content })));
+ for (const model of models) {
+  const provider = findProviderForModel(model);
+  if (!provider) {
+   failures.push({ model, provider, skipped: 'unknown model' });
+   continue;
+  }
+  if (!hasCredentials(provider, options.client)) {
+   failures.push({ model, provider, skipped: 'missing API key' });
+   continue;
+  }
+  if (hasImages && !supportsVision(provider, model)) {
+   failures.push({ model, provider, skipped: 'no vision support' });
+   continue;
+  }
+
+  let emitted = false;
+  const onToken = options.onToken && ((delta) => {
+   emitted = true;
+   options.onToken(delta);
+  });
+  try {
+   const response = await callAI(provider, model, messages, { ...options, onToken });
+   return { ...response, failures };
+  } catch (e) {
+   if (emitted || !isFallbackError(e)) throw e;
+   failures.push({ model, provider, error: e.message, status: e.status });
+   lastError = e;
+  }
+ }
+ const summary = failures.map(f => `${f.model}: ${f.skipped || f.error}`).join('; ');
+ throw Object.assign(new FallbackError(`All models in fallback chain failed: ${summary}`, { cause: lastError }), { failures });
+}
+
+export class BudgetExceededError extends Error {
+ constructor(message, details = {}) {
+  super(message);
+  this.name = 'BudgetExceededError';
+  this.model = details.model;
+  this.limitUsd = details.limitUsd;
+  this.spentUsd = details.spentUsd;
+  this.estimateUsd = details.estimateUsd;
+ }
+}
+
+// Spending guard shared across calls via options.budget. Calls reserve their worst-case cost up front,
+// so parallel requests can't overshoot the limit together, and record the actual cost when they finish.
+export function createBudget({ limitUsd = Infinity, perModelLimits = {} } = {}) {
+ const entries = [];
+ const reserved = new Map();
+ let reservedTotal = 0;
+ const round = (value) => parseFloat(value.toFixed(6));
+ const spentFor = (model) => entries.reduce((sum, e) => sum + (model === undefined || e.model === model ? e.cost : 0), 0);
+
+ const totals = (by = 'model') => {
+  const result = {};
+  for (const entry of entries) {
+   const keys = by === 'tag' ? (entry.tags.length ? entry.tags : ['(untagged)']) : [entry[by]];
+   for (const key of keys) {
+    const row = result[key] || (result[key] = { calls: 0, prompt_tokens: 0, completion_tokens: 0, cost: 0 });
+    row.calls++;
+    row.prompt_tokens += entry.prompt_tokens;
+    row.completion_tokens += entry.completion_tokens;
+    row.cost = round(row.cost + entry.cost);
+   }
+  }
+  return result;
+ };
+
+ return {
+  limitUsd,
+  perModelLimits,
+  entries,
+  get spent() { return round(spentFor()); },
+  get remaining() { return round(Math.max(0, limitUsd - spentFor() - reservedTotal)); },
+  reserve(model, estimateUsd) {
+   const spentUsd = spentFor();
+   if (spentUsd + reservedTotal + estimateUsd > limitUsd) {
+    throw new BudgetExceededError(`Budget exceeded: call to ${model} may cost up to $${estimateUsd}, $${round(limitUsd - spentUsd - reservedTotal)} of $${limitUsd} left`, { model, limitUsd, spentUsd: round(spentUsd), estimateUsd });
+   }
+   const modelLimit = perModelLimits[model];
+   const modelReserved = reserved.get(model) || 0;
+   if (modelLimit !== undefined && spentFor(model) + modelReserved + estimateUsd > modelLimit) {
+    throw new BudgetExceededError(`Budget exceeded for ${model}: call may cost up to $${estimateUsd}, limit is $${modelLimit}`, { model, limitUsd: modelLimit, spentUsd: round(spentFor(model)), estimateUsd });
+   }
+   reserved.set(model, modelReserved + estimateUsd);
+   reservedTotal += estimateUsd;
+   let released = false;
+   return () => {
+    if (released) return;
+    released = true;
+    reserved.set(model, reserved.get(model) - estimateUsd);
+    reservedTotal -= estimateUsd;
+   };
+  },
+  record({ model, provider, usage, cost, tags = [] }) {
+   entries.push({
+    timestamp: new Date().toISOString(),
+    model,
+    provider,
+    tags: Array.isArray(tags) ? tags : [tags],
+    prompt_tokens: usage.prompt_tokens,
+    completion_tokens: usage.completion_tokens,
+    cost: cost.total
+   });
+  },
+  totals,
+  toJSON() {
+   return { limitUsd, spent: this.spent, byModel: totals('model'), byTag: totals('tag'), entries };
+  },
+  toCSV(by = 'model') {
+   const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+   const rows = Object.entries(totals(by)).map(([key, row]) => [key, row.calls, row.prompt_tokens, row.completion_tokens, row.cost].map(escape).join(','));
+   return [`${by},calls,prompt_tokens,completion_tokens,cost_usd`, ...rows].join('\n');
+  },
+  reset() {
+   entries.length = 0;
+  }
+ };
+}
+
+// Splits callAI-style arguments into the leading (provider?, model, messages) part and the options object
+function splitOptions(args) {
+ const hasOptions = args.length > 2 && !Array.isArray(args[args.length - 1]);
+ return { callArgs: hasOptions ? args.slice(0, -1) : args, options: (hasOptions && args[args.length - 1]) || {} };
+}
+
+function addUsage(a, b) {
+ const sum = { ...a };
+ for (const [key, value] of Object.entries(b || {})) {
+  if (typeof value === 'number') sum[key] = (sum[key] || 0) + value;
  }
+ return sum;
+}
+
+function addCost(a, b) {
+ return {
+  in: parseFloat((a.in + b.in).toFixed(6)),
+  out: parseFloat((a.out + b.out).toFixed(6)),
+  total: parseFloat((a.total + b.total).toFixed(6))
+ };
+}
+
+// Async-iterable variant of callAI({ stream: true }): yields text deltas, `response` resolves to the final result
+export function streamAI(...args) {
+ const { callArgs, options } = splitOptions(args);
+ const queue = [];
+ let wake = null, done = false, failure = null;
+ const notify = () => {
+  if (wake) wake();
+  wake = null;
+ };
+ const response = callAI(...callArgs, {
+  ...options,
+  stream: true,
+  onToken: (delta) => {
+   if (options.onToken) options.onToken(delta);
+   queue.push(delta);
+   notify();
+  }
+ });
+ response.then(() => { done = true; notify(); }, (e) => { failure = e; done = true; notify(); });
+ return {
+  response,
+  async *[Symbol.asyncIterator]() {
+   while (true) {
+    if (queue.length) {
+     yield queue.shift();
+     continue;
+    }
+    if (done) {
+     if (failure) throw failure;
+     return;
+    }
+    await new Promise(resolve => wake = resolve);
+   }
+  }
+ };
+}
+
+// Tool loop: executes `handler(args, call)` of each requested tool and calls the model again until it answers without tool calls
+export async function runTools(...args) {
+ const { callArgs, options } = splitOptions(args);
+ // Claude rejects tool results after a thinking turn unless that turn's signed thinking comes back with them
+ const { maxRounds = 10, ...callOptions } = { keepThinking: true, ...options };
+ const messagesIndex = callArgs.length - 1;
+ const messages = [...callArgs[messagesIndex]];
+ const tools = (callOptions.tools || []).map(normalizeTool);
+ const handlers = Object.fromEntries(tools.map(tool => [tool.name, tool.handler]));
+ callOptions.tools = tools.map(({ handler, ...tool }) => tool);
+
+ let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+ let cost = { in: 0, out: 0, total: 0 };
+ for (let round = 1; round <= maxRounds; round++) {
+  const head = callArgs.slice(0, messagesIndex);
+  const response = await callAI(...head, messages, callOptions);
+  usage = addUsage(usage, response.usage);
+  cost = addCost(cost, response.cost);
+  messages.push({ role: 'assistant', content: response.text, ...(response.toolCalls.length && { toolCalls: response.toolCalls }), ...(response.thinkingBlocks && { thinkingBlocks: response.thinkingBlocks }) });
+  if (!response.toolCalls.length) return { ...response, usage, cost, messages, rounds: round };
+
+  const results = await Promise.all(response.toolCalls.map(async (call) => {
+   const handler = handlers[call.name];
+   try {
+    if (!handler) throw new Error(`No handler for tool: ${call.name}`);
+    return { content: stringifyToolResult(await handler(call.arguments, call)) };
+   } catch (e) {
+    return { content: `Error: ${e.message}`, isError: true };
+   }
+  }));
+  response.toolCalls.forEach((call, i) => messages.push({ role: 'tool', toolCallId: call.id, name: call.name, ...results[i] }));
+ }
+ throw new Error(`Tool loop did not finish within ${maxRounds} rounds`);
+}
+
+// Stateful chat: keeps history, cumulative usage/cost, and drops or summarizes the oldest turns
+// once the token estimate would no longer fit into maxContextTokens (default: the model's context window)
+export function createConversation(model, { system, maxContextTokens, trim = 'drop', summaryModel, ...callOptions } = {}) {
+ let state = {
+  model,
+  system: system || '',
+  summary: '',
+  messages: [],
+  usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  cost: { in: 0, out: 0, total: 0 }
+ };
+
+ const withSystem = (messages) => {
+  const instructions = [state.system, state.summary && `Summary of the earlier conversation:\n${state.summary}`].filter(Boolean).join('\n\n');
+  return instructions ? [{ role: 'system', content: instructions }, ...messages] : messages;
+ };
+ const estimateTokens = (messages) => countLocalTokens(findProviderForModel(state.model), state.model, withSystem(messages)).tokens;
+ const track = (response) => {
+  state.usage = addUsage(state.usage, response.usage);
+  state.cost = addCost(state.cost, response.cost);
+ };
+
+ // The summary is billed like any other call (budget, tags, client...) but never streams, thinks, calls tools or follows the schema
+ async function summarize(dropped, { tools, toolChoice, schema, stream, onToken, autoContinue, think, n, logprobs, ...options }) {
+  const transcript = dropped.map(msg => `${msg.role}: ${stringifyToolResult(msg.content)}`).join('\n');
+  const response = await callAI(summaryModel || state.model, [
+   { role: 'system', content: 'Summarize the conversation below in a few sentences. Keep facts, decisions and open questions that later turns may rely on.' },
+   { role: 'user', content: state.summary ? `Earlier summary:\n${state.summary}\n\n${transcript}` : transcript }
+  ], { ...options, maxTokens: 1024 });
+  track(response);
+  state.summary = response.text;
+ }
+
+ // Whole turns go at once so tool calls never lose their results; the newest turn always stays
+ async function fitContext(messages, callOpts) {
+  const maxTokens = callOpts.maxTokens || _DEFAULT.maxTokens;
+  const contextWindow = maxContextTokens || (typeof state.model === 'string' && getModelInfo(state.model)?.contextWindow) || MODEL_DEFAULTS.contextWindow;
+  const limit = contextWindow - maxTokens;
+  const dropped = [];
+  while (estimateTokens(messages) > limit) {
+   const nextTurn = messages.findIndex((msg, i) => i > 0 && msg.role === 'user');
+   if (nextTurn === -1) break;
+   dropped.push(...messages.splice(0, nextTurn));
+  }
+  if (dropped.length && trim === 'summarize') await summarize(dropped, callOpts);
+  return messages;
+ }
+
+ const conversation = {
+  get model() { return state.model; },
+  get history() { return withSystem(state.messages).map(msg => ({ ...msg })); },
+  get usage() { return { ...state.usage }; },
+  get cost() { return { ...state.cost }; },
+  async send(content, options = {}) {
+   const callOpts = { ...callOptions, ...options };
+   const messages = await fitContext([...state.messages, { role: 'user', content }], callOpts);
+   const response = await callAI(state.model, withSystem(messages), callOpts);
+   messages.push({ role: 'assistant', content: response.text, ...(response.toolCalls.length && { toolCalls: response.toolCalls }), ...(callOpts.keepThinking && response.thinkingBlocks && { thinkingBlocks: response.thinkingBlocks }) });
+   state.messages = messages;
+   track(response);
+   return response;
+  },
+  fork() {
+   return createConversation(state.model, { system, maxContextTokens, trim, summaryModel, ...callOptions }).load(conversation.save());
+  },
+  switchModel(newModel) {
+   state.model = newModel;
+   return conversation;
+  },
+  save() {
+   return JSON.stringify(state);
+  },
+  load(saved) {
+   state = typeof saved === 'string' ? JSON.parse(saved) : structuredClone(saved);
+   return conversation;
+  }
+ };
+ return conversation;
+}
+
+// Embeds one string or an array of them with a model from a provider's `embeddings` section.
+// Inputs are split into requests of at most embeddingBatchSize, vectors come back in input order.
+// options: dimensions (models with customDimensions), taskType (Gemini), timeout, retry, signal, budget, tags
+export async function embed(model, inputs, options = {}) {
+ if (!customModelsLoaded) await loadCustomModels();
+ const provider = findProviderForEmbedding(model);
+ if (!provider) throw new Error(`Unknown embedding model: ${model}. Available: ${Object.values(AI_PROVIDERS).flatMap(c => Object.keys(c.embeddings || {})).join(', ')}`);
+ const config = providerConfig(provider, options);
+ const modelConfig = config.embeddings[model];
+ const list = Array.isArray(inputs) ? inputs : [inputs];
+ if (!list.length) throw new Error('embed() needs at least one input');
+ if (options.dimensions && !modelConfig.customDimensions) {
+  throw new Error(`Model ${model} always returns ${modelConfig.dimensions || 'fixed-size'} vectors, dimensions isn't supported`);
+ }
+
+ let releaseBudget = null, apiKey;
+ try {
+  apiKey = await acquireKey(provider, model, config, options);
+  const messages = list.map(text => ({ role: 'user', content: String(text) }));
+  const estimate = normalizeUsage(config.adapter, null, messages, '');
+  if (options.budget) releaseBudget = options.budget.reserve(model, calculateCost(modelConfig, estimate).total);
+
+  const vectors = [];
+  let reported = 0, reportedChunks = 0, chunks = 0;
+  const batchSize = config.embeddingBatchSize || 128;
+  for (let i = 0; i < list.length; i += batchSize) {
+   const chunk = list.slice(i, i + batchSize).map(String);
+   const headers = { ...config.headers };
+   const url = authorize(config, apiKey, config.embeddingUrl(config.baseUrl, modelConfig.name), headers);
+   const { data } = await makeRequest(url, config.formatEmbeddingPayload(chunk, modelConfig.name, options), headers, { timeout: options.timeout || 480000, retry: options.retry, signal: options.signal });
+   const result = config.extractEmbeddings(data);
+   if (result.vectors.length !== chunk.length) throw new Error(`${provider} returned ${result.vectors.length} embeddings for ${chunk.length} inputs`);
+   vectors.push(...result.vectors);
+   chunks++;
+   if (result.usage) {
+    reported += result.usage.prompt_tokens || result.usage.total_tokens || 0;
+    reportedChunks++;
+   }
+  }
+
+  // Providers that don't report usage (Gemini) are billed on the character estimate
+  const promptTokens = reportedChunks === chunks ? reported : estimate.prompt_tokens;
+  const usage = { prompt_tokens: promptTokens, completion_tokens: 0, total_tokens: promptTokens };
+  const cost = calculateCost(modelConfig, usage);
+  if (options.budget) options.budget.record({ model, provider, usage, cost, tags: options.tags });
+  return { vectors, usage, cost, model, dimensions: vectors[0]?.length || 0 };
+ } catch (error) {
+  noteRateLimit(options, provider, apiKey, error);
+  throw toProviderError(error, provider, model, config.mapError);
+ } finally {
+  if (releaseBudget) releaseBudget();
+ }
+}
+
+const BATCH_TERMINAL_STATES = ['completed', 'failed', 'expired', 'cancelled'];
+
+// Sends one batch management request with the provider's credentials; errors come back as typed ProviderErrors
+async function batchRequest(ctx, url, data, { method, raw, headers } = {}) {
+ const requestHeaders = { ...ctx.config.headers, ...headers };
+ const authorizedUrl = authorize(ctx.config, ctx.apiKey, url, requestHeaders);
+ try {
+  const { data: response } = await makeRequest(authorizedUrl, data, requestHeaders, { timeout: ctx.options.timeout || 480000, retry: ctx.options.retry, signal: ctx.options.signal, method, raw });
+  return response;
+ } catch (e) {
+  noteRateLimit(ctx.options, ctx.provider, ctx.apiKey, e);
+  throw toProviderError(e, ctx.provider, ctx.model, ctx.config.mapError);
+ }
+}
+
+function parseJSONLines(text) {
+ return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+// Provider batch APIs: submit(requests, ctx) -> batch id, status(id, ctx) -> { state, counts, raw },
+// results(id, raw, ctx) -> [{ id, body } | { id, status, error }] where body is a regular response body.
+// Every provider here bills batched requests at half price.
+const BATCH_APIS = {
+ openai: {
+  discount: 0.5,
+  root: (config) => config.baseUrl.replace(/\/chat\/completions$/, ''),
+  async submit(requests, ctx) {
+   const lines = requests.map(request => JSON.stringify({ custom_id: request.id, method: 'POST', url: '/v1/chat/completions', body: request.payload }));
+   const boundary = `----callAI${crypto.randomBytes(12).toString('hex')}`;
+   const form = Buffer.from([
+    `--${boundary}`, 'Content-Disposition: form-data; name="purpose"', '', 'batch',
+    `--${boundary}`, 'Content-Disposition: form-data; name="file"; filename="batch.jsonl"', 'Content-Type: application/jsonl', '', lines.join('\n'),
+    `--${boundary}--`, ''
+   ].join('\r\n'));
+   const file = await batchRequest(ctx, `${this.root(ctx.config)}/files`, form, { headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` } });
+   const batch = await batchRequest(ctx, `${this.root(ctx.config)}/batches`, { input_file_id: file.id, endpoint: '/v1/chat/completions', completion_window: '24h' });
+   return batch.id;
+  },
+  async status(id, ctx) {
+   const raw = await batchRequest(ctx, `${this.root(ctx.config)}/batches/${id}`);
+   const states = { validating: 'pending', in_progress: 'running', finalizing: 'running', cancelling: 'running', completed: 'completed', failed: 'failed', expired: 'expired', cancelled: 'cancelled' };
+   const counts = raw.request_counts || {};
+   return { state: states[raw.status] || raw.status, counts: { total: counts.total || 0, succeeded: counts.completed || 0, failed: counts.failed || 0 }, raw };
+  },
+  async results(id, raw, ctx) {
+   const lines = [];
+   for (const fileId of [raw.output_file_id, raw.error_file_id].filter(Boolean)) {
+    lines.push(...parseJSONLines(await batchRequest(ctx, `${this.root(ctx.config)}/files/${fileId}/content`, undefined, { raw: true })));
+   }
+   return lines.map(line => {
+    const status = line.response?.status_code;
+    if (status >= 200 && status < 300) return { id: line.custom_id, body: line.response.body };
+    return { id: line.custom_id, status, error: line.response?.body?.error || line.error };
+   });
+  },
+  async cancel(id, ctx) {
+   await batchRequest(ctx, `${this.root(ctx.config)}/batches/${id}/cancel`, {});
+  }
+ },
+
+ anthropic: {
+  discount: 0.5,
+  async submit(requests, ctx) {
+   const batch = await batchRequest(ctx, `${ctx.config.baseUrl}/batches`, { requests: requests.map(request => ({ custom_id: request.id, params: request.payload })) });
+   return batch.id;
+  },
+  async status(id, ctx) {
+   const raw = await batchRequest(ctx, `${ctx.config.baseUrl}/batches/${id}`);
+   const counts = raw.request_counts || {};
+   const total = (counts.processing || 0) + (counts.succeeded || 0) + (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0);
+   let state = raw.processing_status === 'ended' ? 'completed' : 'running';
+   if (state === 'completed' && total && counts.canceled === total) state = 'cancelled';
+   return { state, counts: { total, succeeded: counts.succeeded || 0, failed: (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0) }, raw };
+  },
+  async results(id, raw, ctx) {
+   const lines = parseJSONLines(await batchRequest(ctx, raw.results_url, undefined, { raw: true }));
+   return lines.map(line => {
+    if (line.result?.type === 'succeeded') return { id: line.custom_id, body: line.result.message };
+    return { id: line.custom_id, error: line.result?.error?.error || line.result?.error || { type: line.result?.type, message: `Request ${line.result?.type}` } };
+   });
+  },
+  async cancel(id, ctx) {
+   await batchRequest(ctx, `${ctx.config.baseUrl}/batches/${id}/cancel`, {});
+  }
+ },
+
+ gemini: {
+  discount: 0.5,
+  root: (config) => config.baseUrl.replace(/\/models$/, ''),
+  async submit(requests, ctx) {
+   const body = { batch: { display_name: `callAI-${Date.now()}`, input_config: { requests: { requests: requests.map(request => ({ request: request.payload, metadata: { key: request.id } })) } } } };
+   const operation = await batchRequest(ctx, `${ctx.config.baseUrl}/${ctx.modelName}:batchGenerateContent`, body);
+   return operation.name;
+  },
+  async status(id, ctx) {
+   const raw = await batchRequest(ctx, `${this.root(ctx.config)}/${id}`);
+   const state = String(raw.metadata?.state || raw.state || '').replace(/^(BATCH|JOB)_STATE_/, '').toLowerCase();
+   const states = { pending: 'pending', running: 'running', succeeded: 'completed', failed: 'failed', cancelled: 'cancelled', expired: 'expired' };
+   const stats = raw.metadata?.batchStats || {};
+   return { state: states[state] || state, counts: { total: Number(stats.requestCount) || 0, succeeded: Number(stats.successfulRequestCount) || 0, failed: Number(stats.failedRequestCount) || 0 }, raw };
+  },
+  async results(id, raw) {
+   const output = raw.response?.inlinedResponses || raw.metadata?.output?.inlinedResponses;
+   const list = output?.inlinedResponses || output || [];
+   return list.map(item => item.error ? { id: item.metadata?.key, status: item.error.code, error: item.error } : { id: item.metadata?.key, body: item.response });
+  },
+  async cancel(id, ctx) {
+   await batchRequest(ctx, `${this.root(ctx.config)}/${id}:cancel`, {});
+  }
+ }
+};
+
+// Normalized { text, reasoning, toolCalls, finishReason, usage, cost } for one batched response body, or { error } when the provider rejected it
+function batchResult(ctx, entry, messages = []) {
+ const { config, provider, model, modelConfig } = ctx;
+ try {
+  if (entry.error) throw Object.assign(new Error(entry.error.message || JSON.stringify(entry.error)), { status: entry.status, body: { error: entry.error } });
+  const text = config.extractResponse(entry.body);
+  const reasoning = (config.extractReasoning?.(entry.body) || '').trim();
+  const toolCalls = config.extractToolCalls(entry.body);
+  const usage = normalizeUsage(config.adapter, config.adapter === 'gemini' ? entry.body.usageMetadata : entry.body.usage, messages, text, reasoning);
+  const cost = calculateCost(modelConfig, usage);
+  const discount = BATCH_APIS[provider].discount;
+  return {
+   text,
+   reasoning,
+   toolCalls,
+   finishReason: normalizeFinishReason(config.extractFinishReason?.(entry.body), toolCalls),
+   usage,
+   model,
+   cost: { in: parseFloat((cost.in * discount).toFixed(6)), out: parseFloat((cost.out * discount).toFixed(6)), total: parseFloat((cost.total * discount).toFixed(6)) }
+  };
+ } catch (error) {
+  return { error: toProviderError(error, provider, model, config.mapError) };
+ }
+}
+
+// With options.budget, results() records what the finished requests cost (once) and frees what callAIBatch reserved
+function batchHandle(ctx, id, messagesById = {}, releaseBudget = null) {
+ const api = BATCH_APIS[ctx.provider];
+ let last = null, recorded = false;
+ const handle = {
+  id,
+  provider: ctx.provider,
+  model: ctx.model,
+  async status() {
+   last = await api.status(id, ctx);
+   return { state: last.state, counts: last.counts };
+  },
+  async wait({ interval = 30000, signal } = {}) {
+   while (!BATCH_TERMINAL_STATES.includes((await handle.status()).state)) await sleep(interval, signal);
+   return { state: last.state, counts: last.counts };
+  },
+  async results() {
+   if (!last || !BATCH_TERMINAL_STATES.includes(last.state)) await handle.status();
+   if (!BATCH_TERMINAL_STATES.includes(last.state)) throw new Error(`Batch ${id} is still ${last.state}, call wait() first`);
+   const results = {};
+   for (const entry of await api.results(id, last.raw, ctx)) results[entry.id] = batchResult(ctx, entry, messagesById[entry.id]);
+   if (ctx.options.budget && !recorded) {
+    recorded = true;
+    for (const result of Object.values(results)) {
+     if (!result.error) ctx.options.budget.record({ model: ctx.model, provider: ctx.provider, usage: result.usage, cost: result.cost, tags: ctx.options.tags });
+    }
+   }
+   if (releaseBudget) releaseBudget();
+   return results;
+  },
+  async cancel() {
+   await api.cancel(id, ctx);
+  }
+ };
+ return handle;
+}
+
+async function batchContext(model, options) {
+ const provider = findProviderForModel(model);
+ if (!provider) throw new Error(`Unknown model: ${model}`);
+ const config = providerConfig(provider, options);
+ const apiKey = await acquireKey(provider, model, config, options);
+ return { provider, model, config, apiKey, modelConfig: config.models[model], modelName: config.models[model].name, options };
+}
+
+// Runs the requests through callAI, `concurrency` at a time, behind the same handle as a provider batch
+function runLocalBatch(model, requests, { concurrency = 4, ...options }) {
+ const results = {};
+ const controller = new AbortController();
+ const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+ let next = 0, succeeded = 0, failed = 0, finished = false;
+ const worker = async () => {
+  while (next < requests.length && !signal.aborted) {
+   const request = requests[next++];
+   try {
+    results[request.id] = await callAI(model, request.messages, { ...options, ...request.options, signal });
+    succeeded++;
+   } catch (error) {
+    results[request.id] = { error };
+    failed++;
+   }
+  }
+ };
+ const done = Promise.all(Array.from({ length: Math.min(concurrency, requests.length) }, worker)).then(() => { finished = true; });
+ const status = () => ({
+  state: !finished ? (succeeded + failed ? 'running' : 'pending') : signal.aborted ? 'cancelled' : 'completed',
+  counts: { total: requests.length, succeeded, failed }
+ });
+ return {
+  id: `local-${crypto.randomBytes(6).toString('hex')}`,
+  provider: findProviderForModel(model),
+  model,
+  local: true,
+  async status() {
+   return status();
+  },
+  async wait() {
+   await done;
+   return status();
+  },
+  async results() {
+   if (!finished) throw new Error(`Batch is still ${status().state}, call wait() first`);
+   return { ...results };
+  },
+  async cancel() {
+   controller.abort();
+  }
+ };
+}
+
+// Offline jobs at batch prices: requests are [{ id, messages, options? }] (or plain message arrays, keyed by index).
+// Uses the provider's batch API where there is one (OpenAI, Anthropic, Gemini) and a local concurrency-limited runner otherwise
+// or with options.local. Resolves to a handle with status(), wait(), results() and cancel().
+export async function callAIBatch(model, requests, options = {}) {
+ if (!customModelsLoaded) await loadCustomModels();
+ const normalized = requests.map((request, i) => Array.isArray(request) ? { id: String(i), messages: request } : { ...request, id: String(request.id ?? i) });
+ const ids = new Set(normalized.map(request => request.id));
+ if (ids.size !== normalized.length) throw new Error('Batch request ids must be unique');
+
+ const provider = findProviderForModel(model);
+ if (!provider) throw new Error(`Unknown model: ${model}`);
+ const { local, concurrency, ...callOptions } = options;
+ if (local || !BATCH_APIS[provider]) return runLocalBatch(model, normalized, { concurrency, ...callOptions });
+
+ const ctx = await batchContext(model, callOptions);
+ const info = getModelInfo(model, provider);
+ const messagesById = {};
+ let estimate = 0;
+ const prepared = await Promise.all(normalized.map(async request => {
+  const requestOptions = { ...callOptions, ...request.options, stream: false };
+  if (requestOptions.tools) requestOptions.tools = requestOptions.tools.map(normalizeTool);
+  validateGenerationOptions(model, requestOptions, info);
+  let messages = adaptFileParts(request.messages.map(msg => ({ ...msg, content: Array.isArray(msg.content) ? normalizeContent(msg.content) : msg.content })), info);
+  if (isVisionRequest(messages)) messages = await prepareImages(messages, provider, model, requestOptions);
+  messagesById[request.id] = messages;
+  if (callOptions.budget) estimate += calculateCost(ctx.modelConfig, { prompt_tokens: normalizeUsage(ctx.config.adapter, null, messages, '').prompt_tokens, completion_tokens: requestOptions.maxTokens || _DEFAULT.maxTokens }).total;
+  return { id: request.id, payload: mergeProviderOptions(ctx.config.formatPayload(messages, ctx.modelName, requestOptions.maxTokens, requestOptions, info), requestOptions.providerOptions) };
+ }));
+ // Worst case at the batch price - every prompt plus every allowed output token - held until results() records the real cost
+ const releaseBudget = callOptions.budget?.reserve(model, parseFloat((estimate * BATCH_APIS[provider].discount).toFixed(6)));
+ try {
+  const id = await BATCH_APIS[provider].submit(prepared, ctx);
+  return batchHandle(ctx, id, messagesById, releaseBudget);
+ } catch (error) {
+  if (releaseBudget) releaseBudget();
+  throw error;
+ }
+}
+
+// Reattaches to a provider batch submitted earlier (e.g. by yesterday's process) by its id
+export async function getBatch(model, id, options = {}) {
+ if (!customModelsLoaded) await loadCustomModels();
+ const ctx = await batchContext(model, options);
+ if (!BATCH_APIS[ctx.provider]) throw new Error(`${ctx.provider} has no batch API, local batches can't be reattached`);
+ return batchHandle(ctx, id);
+}
+
+// Continuous token bucket refilled at perMinute / 60s. A take larger than the bucket waits for a full one and
+// leaves it in debt, adjust() hands back (or charges) the difference once the real number is known.
+function createTokenBucket(perMinute) {
+ let tokens = perMinute, updated = Date.now();
+ const refill = () => {
+  const now = Date.now();
+  tokens = Math.min(perMinute, tokens + (now - updated) * perMinute / 60000);
+  updated = now;
+ };
+ // Like sleep(), but a refund through adjust() ends the wait early
+ const waiters = new Set();
+ const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const finish = (error) => {
+   clearTimeout(timer);
+   waiters.delete(finish);
+   signal?.removeEventListener('abort', onAbort);
+   if (error) reject(error);
+   else resolve();
+  };
+  const onAbort = () => finish(abortError(signal));
+  const timer = setTimeout(finish, ms);
+  waiters.add(finish);
+  if (signal?.aborted) return onAbort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+ });
+ return {
+  async take(amount, signal) {
+   const needed = Math.min(amount, perMinute);
+   for (;;) {
+    refill();
+    if (tokens >= needed) {
+     tokens -= amount;
+     return;
+    }
+    await wait(Math.ceil((needed - tokens) * 60000 / perMinute), signal);
+   }
+  },
+  adjust(amount) {
+   refill();
+   tokens = Math.min(perMinute, tokens + amount);
+   if (amount > 0) for (const finish of [...waiters]) finish();
+  }
+ };
+}
+
+// Per-provider limiter: requests queue up in order behind the rpm/tpm buckets and any pause the provider asked for
+function createProviderLimiter(rpm, tpm) {
+ const requests = rpm ? createTokenBucket(rpm) : null;
+ const tokens = tpm ? createTokenBucket(tpm) : null;
+ let queue = Promise.resolve(), pausedUntil = 0;
+ return {
+  tokens,
+  async whilePaused(signal) {
+   while (pausedUntil > Date.now()) await sleep(pausedUntil - Date.now(), signal);
+  },
+  acquire(estimate, signal) {
+   const turn = queue.then(async () => {
+    await this.whilePaused(signal);
+    if (requests) await requests.take(1, signal);
+    if (tokens) await tokens.take(estimate, signal);
+   });
+   queue = turn.catch(() => {});
+   return turn;
+  },
+  pause(ms) {
+   pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+ };
+}
+
+// Runs callAI calls at most `concurrency` at a time, within per-provider rpm/tpm limits (a number for every provider or
+// { openai: 500, anthropic: 50 }). Token use is estimated up front and corrected with the real usage afterwards;
+// providers' rate-limit headers and Retry-After pause that provider's queue.
+export function createPool({ concurrency = 4, rpm, tpm } = {}) {
+ const limiters = {};
+ const limitFor = (limit, provider) => typeof limit === 'object' ? limit[provider] : limit;
+ const limiterFor = (provider) => limiters[provider] || (limiters[provider] = createProviderLimiter(limitFor(rpm, provider), limitFor(tpm, provider)));
+ let active = 0, pending = 0;
+ const waiting = [];
+ const release = () => {
+  active--;
+  if (waiting.length) waiting.shift()();
+ };
+ const slot = () => active < concurrency ? (active++, Promise.resolve()) : new Promise(resolve => waiting.push(() => (active++, resolve())));
+
+ async function call(...args) {
+  pending++;
+  try {
+   return await limitedCall(args);
+  } finally {
+   pending--;
+  }
+ }
+
+ async function limitedCall(args) {
+  if (!customModelsLoaded) await loadCustomModels();
+  const chain = resolveChain(args[0]);
+  const { provider, messages, options } = chain ? { provider: findProviderForModel(chain[0]), messages: args[1], options: args[2] || {} } : resolveArgs(args);
+  const limiter = limiterFor(provider);
+  const estimate = normalizeUsage(AI_PROVIDERS[provider]?.adapter, null, messages, '').prompt_tokens + (options.maxTokens || _DEFAULT.maxTokens);
+  await limiter.acquire(estimate, options.signal);
+  await slot();
+  try {
+   // A pause may have started while this call waited for a free slot
+   await limiter.whilePaused(options.signal);
+   const response = await callAI(...args);
+   limiter.tokens?.adjust(estimate - response.usage.total_tokens);
+   const rateLimit = response.rateLimit;
+   if (rateLimit?.requestsRemaining === 0 && rateLimit.requestsReset) limiter.pause(rateLimit.requestsReset);
+   if (rateLimit?.tokensRemaining === 0 && rateLimit.tokensReset) limiter.pause(rateLimit.tokensReset);
+   return response;
+  } catch (error) {
+   if (error instanceof RateLimitError) limiter.pause(error.retryAfter ?? 1000);
+   throw error;
+  } finally {
+   release();
+  }
+ }
+
+ return {
+  call,
+  // Every job is an argument list for callAI. Results keep the order of jobs, a failed job becomes { error }.
+  async run(jobs, { onProgress } = {}) {
+   let done = 0, failed = 0;
+   return Promise.all(jobs.map(async (args, index) => {
+    let result;
+    try {
+     result = await call(...args);
+    } catch (error) {
+     result = { error };
+     failed++;
+    }
+    done++;
+    if (onProgress) onProgress({ done, failed, total: jobs.length, index, result });
+    return result;
+   }));
+  },
+  // Calls running right now / not finished yet (running or waiting for their turn)
+  get active() { return active; },
+  get pending() { return pending; }
+ };
+}
+
+const KEY_ROTATIONS = ['round-robin', 'least-limited'];
+
+// A callAI instance with its own credentials and settings, nothing shared with other clients but the model and provider
+// catalog (_models.js, registerProvider):
+//  keys     - { provider: key | [keys] | async ({ provider, model, options }) => key or [keys] }, rotated per request (see createKeyPool)
+//  baseUrls - { provider: url } in place of the provider's baseUrl (proxies, gateways, regional endpoints)
+//  defaults - options applied to every call, the call's own options win
+//  envFile  - read apiKeyEnv variables from this file instead of process.env
+export function createClient({ keys = {}, baseUrls = {}, defaults = {}, envFile, rotation = 'round-robin' } = {}) {
+ if (!KEY_ROTATIONS.includes(rotation)) throw new Error(`Unknown key rotation: ${rotation}. Use one of: ${KEY_ROTATIONS.join(', ')}`);
+ const client = {
+  keys: Object.fromEntries(Object.entries(keys).map(([provider, source]) => [provider, createKeyPool(source, rotation)])),
+  baseUrls: { ...baseUrls },
+  env: envFile ? parseEnvFile(path.resolve(envFile)) : null,
+  envFile
+ };
+ const withClient = (options = {}) => ({ ...defaults, ...options, client });
+ const withClientArgs = (args) => {
+  const { callArgs, options } = splitOptions(args);
+  return [...callArgs, withClient(options)];
+ };
+ return {
+  callAI: (...args) => callAI(...withClientArgs(args)),
+  streamAI: (...args) => streamAI(...withClientArgs(args)),
+  runTools: (...args) => runTools(...withClientArgs(args)),
+  embed: (model, inputs, options) => embed(model, inputs, withClient(options)),
+  countTokens: (model, messages, options) => countTokens(model, messages, withClient(options)),
+  callAIBatch: (model, requests, options) => callAIBatch(model, requests, withClient(options)),
+  getBatch: (model, id, options) => getBatch(model, id, withClient(options)),
+  createConversation: (model, options) => createConversation(model, withClient(options)),
+  createPool: (options) => {
+   const pool = createPool(options);
+   return {
+    call: (...args) => pool.call(...withClientArgs(args)),
+    run: (jobs, runOptions) => pool.run(jobs.map(withClientArgs), runOptions),
+    get active() { return pool.active; },
+    get pending() { return pool.pending; }
+   };
+  }
+ };
 }
 
 // Helpery do generowania testowych list modeli (po jednym aliasie na unikalny model)
@@ -713,103 +3636,32 @@ function getUniqueModels() {
 }
 
 function getVisionTestModels() {
-  const seen = new Set();
-  const result = [];
-
-  for (const [provider, vmodels] of Object.entries(VISION_MODELS)) {
-    const cfg = AI_PROVIDERS[provider];
-    if (!cfg) continue;
-
-    if (vmodels === 'all') {
-      for (const [alias, mcfg] of Object.entries(cfg.models)) {
-        const canonical = mcfg.name || alias;
-        if (!seen.has(canonical)) {
-          seen.add(canonical);
-          result.push(alias);
-        }
-      }
-    } else if (Array.isArray(vmodels)) {
-      for (const aliasOrName of vmodels) {
-        if (cfg.models[aliasOrName]) {
-          const mcfg = cfg.models[aliasOrName];
-          const canonical = mcfg.name || aliasOrName;
-          if (!seen.has(canonical)) {
-            seen.add(canonical);
-            result.push(aliasOrName);
-          }
-        } else {
-          // spróbuj znaleźć alias po wartości name
-          const found = Object.entries(cfg.models).find(([,m]) => m.name === aliasOrName || m.name === (aliasOrName));
-          if (found) {
-            const alias = found[0];
-            const canonical = found[1].name;
-            if (!seen.has(canonical)) {
-              seen.add(canonical);
-              result.push(alias);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  return result;
+  return findModels({ vision: true }).map(info => info.alias);
 }
 
 function getThinkingTestModels() {
-  const seen = new Set();
-  const result = [];
-
-  for (const [provider, tmodels] of Object.entries(THINKING_MODELS)) {
-    const cfg = AI_PROVIDERS[provider];
-    if (!cfg) continue;
-
-    if (Array.isArray(tmodels)) {
-      for (const aliasOrName of tmodels) {
-        if (cfg.models[aliasOrName]) {
-          const mcfg = cfg.models[aliasOrName];
-          const canonical = mcfg.name || aliasOrName;
-          if (!seen.has(canonical)) {
-            seen.add(canonical);
-            result.push(aliasOrName);
-          }
-        } else {
-          const found = Object.entries(cfg.models).find(([,m]) => m.name === aliasOrName);
-          if (found) {
-            const alias = found[0];
-            const canonical = found[1].name;
-            if (!seen.has(canonical)) {
-              seen.add(canonical);
-              result.push(alias);
-            }
-          }
-        }
-      }
-    }
-  }
-
-  return result;
+  return findModels({ thinking: true }).map(info => info.alias);
 }
 
 // Helpers: dostępne modele (z ustawionymi kluczami API)
 function getAvailableModels() {
   return getUniqueModels().filter(alias => {
     const p = findProviderForModel(alias);
-    return p && AI_PROVIDERS[p]?.apiKey;
+    return p && AI_PROVIDERS[p] && hasCredentials(p);
   });
 }
 
 function getAvailableVisionModels() {
   return getVisionTestModels().filter(alias => {
     const p = findProviderForModel(alias);
-    return p && AI_PROVIDERS[p]?.apiKey && supportsVision(p, alias);
+    return p && AI_PROVIDERS[p] && hasCredentials(p) && supportsVision(p, alias);
   });
 }
 
 function getAvailableThinkingModels() {
   return getThinkingTestModels().filter(alias => {
     const p = findProviderForModel(alias);
-    return p && AI_PROVIDERS[p]?.apiKey && supportsThinking(p, alias);
+    return p && AI_PROVIDERS[p] && hasCredentials(p) && supportsThinking(p, alias);
   });
 }
 